@@ -0,0 +1,384 @@
+'use strict';
+
+/**
+ * CSS colour parsing shared by the import hook (index.js) and the transform that runs in the
+ * browser on paste (transform_common.js).
+ *
+ * parseColorToRgb understands the CSS Color Level 4 syntax: named colours, #rgb/#rgba/#rrggbb/
+ * #rrggbbaa, rgb()/rgba(), hsl()/hsla(), hwb(), lab(), lch(), oklab(), oklch() and color() in
+ * both the legacy comma and the space/slash forms. Everything is reduced to an opaque sRGB
+ * triple, because Etherpad's colour attributes have no alpha: translucent colours are blended
+ * over the white page and colours outside sRGB are clamped.
+ *
+ * declaredColor reads a colour from an element's inline style, including values the DOM's CSS
+ * parser does not know.
+ */
+
+// The 148 named colours of CSS Color Level 4.
+const NAMED_COLORS = {
+  aliceblue: 'f0f8ff', antiquewhite: 'faebd7', aqua: '00ffff', aquamarine: '7fffd4',
+  azure: 'f0ffff', beige: 'f5f5dc', bisque: 'ffe4c4', black: '000000',
+  blanchedalmond: 'ffebcd', blue: '0000ff', blueviolet: '8a2be2', brown: 'a52a2a',
+  burlywood: 'deb887', cadetblue: '5f9ea0', chartreuse: '7fff00', chocolate: 'd2691e',
+  coral: 'ff7f50', cornflowerblue: '6495ed', cornsilk: 'fff8dc', crimson: 'dc143c',
+  cyan: '00ffff', darkblue: '00008b', darkcyan: '008b8b', darkgoldenrod: 'b8860b',
+  darkgray: 'a9a9a9', darkgreen: '006400', darkgrey: 'a9a9a9', darkkhaki: 'bdb76b',
+  darkmagenta: '8b008b', darkolivegreen: '556b2f', darkorange: 'ff8c00', darkorchid: '9932cc',
+  darkred: '8b0000', darksalmon: 'e9967a', darkseagreen: '8fbc8f', darkslateblue: '483d8b',
+  darkslategray: '2f4f4f', darkslategrey: '2f4f4f', darkturquoise: '00ced1', darkviolet: '9400d3',
+  deeppink: 'ff1493', deepskyblue: '00bfff', dimgray: '696969', dimgrey: '696969',
+  dodgerblue: '1e90ff', firebrick: 'b22222', floralwhite: 'fffaf0', forestgreen: '228b22',
+  fuchsia: 'ff00ff', gainsboro: 'dcdcdc', ghostwhite: 'f8f8ff', gold: 'ffd700',
+  goldenrod: 'daa520', gray: '808080', green: '008000', greenyellow: 'adff2f',
+  grey: '808080', honeydew: 'f0fff0', hotpink: 'ff69b4', indianred: 'cd5c5c',
+  indigo: '4b0082', ivory: 'fffff0', khaki: 'f0e68c', lavender: 'e6e6fa',
+  lavenderblush: 'fff0f5', lawngreen: '7cfc00', lemonchiffon: 'fffacd', lightblue: 'add8e6',
+  lightcoral: 'f08080', lightcyan: 'e0ffff', lightgoldenrodyellow: 'fafad2', lightgray: 'd3d3d3',
+  lightgreen: '90ee90', lightgrey: 'd3d3d3', lightpink: 'ffb6c1', lightsalmon: 'ffa07a',
+  lightseagreen: '20b2aa', lightskyblue: '87cefa', lightslategray: '778899', lightslategrey: '778899',
+  lightsteelblue: 'b0c4de', lightyellow: 'ffffe0', lime: '00ff00', limegreen: '32cd32',
+  linen: 'faf0e6', magenta: 'ff00ff', maroon: '800000', mediumaquamarine: '66cdaa',
+  mediumblue: '0000cd', mediumorchid: 'ba55d3', mediumpurple: '9370db', mediumseagreen: '3cb371',
+  mediumslateblue: '7b68ee', mediumspringgreen: '00fa9a', mediumturquoise: '48d1cc',
+  mediumvioletred: 'c71585', midnightblue: '191970', mintcream: 'f5fffa', mistyrose: 'ffe4e1',
+  moccasin: 'ffe4b5', navajowhite: 'ffdead', navy: '000080', oldlace: 'fdf5e6',
+  olive: '808000', olivedrab: '6b8e23', orange: 'ffa500', orangered: 'ff4500',
+  orchid: 'da70d6', palegoldenrod: 'eee8aa', palegreen: '98fb98', paleturquoise: 'afeeee',
+  palevioletred: 'db7093', papayawhip: 'ffefd5', peachpuff: 'ffdab9', peru: 'cd853f',
+  pink: 'ffc0cb', plum: 'dda0dd', powderblue: 'b0e0e6', purple: '800080',
+  rebeccapurple: '663399', red: 'ff0000', rosybrown: 'bc8f8f', royalblue: '4169e1',
+  saddlebrown: '8b4513', salmon: 'fa8072', sandybrown: 'f4a460', seagreen: '2e8b57',
+  seashell: 'fff5ee', sienna: 'a0522d', silver: 'c0c0c0', skyblue: '87ceeb',
+  slateblue: '6a5acd', slategray: '708090', slategrey: '708090', snow: 'fffafa',
+  springgreen: '00ff7f', steelblue: '4682b4', tan: 'd2b48c', teal: '008080',
+  thistle: 'd8bfd8', tomato: 'ff6347', turquoise: '40e0d0', violet: 'ee82ee',
+  wheat: 'f5deb3', white: 'ffffff', whitesmoke: 'f5f5f5', yellow: 'ffff00',
+  yellowgreen: '9acd32',
+};
+
+// System colours (current and deprecated CSS names) as they look on a default light page. Word
+// writes `windowtext` for "automatic" text colour.
+const SYSTEM_COLORS = {
+  activetext: 'ff0000', buttonface: 'f0f0f0', buttontext: '000000', canvas: 'ffffff',
+  canvastext: '000000', captiontext: '000000', field: 'ffffff', fieldtext: '000000',
+  graytext: '808080', infotext: '000000', linktext: '0000ee', mark: 'ffff00',
+  marktext: '000000', menutext: '000000', visitedtext: '551a8b', window: 'ffffff',
+  windowtext: '000000',
+};
+
+// Keywords that name no particular colour: Word's `auto`, `transparent`, and values that depend
+// on the surrounding element.
+const NO_COLOR = new Set(['auto', 'transparent', 'currentcolor', 'inherit', 'initial', 'unset', 'none']);
+
+const hexToRgba = (hex) => {
+  let h = hex;
+  if (h.length <= 4) h = h.split('').map((c) => c + c).join('');
+  const rgba = [0, 2, 4].map((i) => parseInt(h.slice(i, i + 2), 16));
+  rgba.push(h.length === 8 ? parseInt(h.slice(6, 8), 16) / 255 : 1);
+  return rgba;
+};
+
+/* ───────────── Colour spaces ───────────── */
+
+const multiply = (m, v) => m.map((row) => row[0] * v[0] + row[1] * v[1] + row[2] * v[2]);
+
+// Matrices and transfer functions from the sample code of the CSS Color 4 specification.
+const XYZ_D65_TO_LINEAR_SRGB = [
+  [3.2409699419045226, -1.537383177570094, -0.4986107602930034],
+  [-0.9692436362808796, 1.8759675015077202, 0.04155505740717559],
+  [0.05563007969699366, -0.20397695888897652, 1.0569715142428786],
+];
+const D50_TO_D65 = [
+  [0.955473421488075, -0.02309845494876471, 0.06325924320057072],
+  [-0.0283697093338637, 1.0099953980813041, 0.021041441191917323],
+  [0.012314014864481998, -0.020507649298898964, 1.330365926242124],
+];
+const D50_WHITE = [0.3457 / 0.3585, 1, (1 - 0.3457 - 0.3585) / 0.3585];
+
+const srgbDecode = (v) => {
+  const abs = Math.abs(v);
+  return abs <= 0.04045 ? v / 12.92 : Math.sign(v) * ((abs + 0.055) / 1.055) ** 2.4;
+};
+const srgbEncode = (v) => {
+  const abs = Math.abs(v);
+  return abs > 0.0031308 ? Math.sign(v) * (1.055 * abs ** (1 / 2.4) - 0.055) : 12.92 * v;
+};
+
+// color() spaces: transfer function to linear light, matrix to XYZ and the white point.
+const PREDEFINED_SPACES = {
+  'srgb': {decode: srgbDecode, toXyz: null},
+  'srgb-linear': {decode: (v) => v, toXyz: null},
+  'display-p3': {
+    decode: srgbDecode,
+    toXyz: [
+      [0.4865709486482162, 0.26566769316909306, 0.1982172852343625],
+      [0.2289745640697488, 0.6917385218365064, 0.079286914093745],
+      [0, 0.04511338185890264, 1.043944368900976],
+    ],
+  },
+  'a98-rgb': {
+    decode: (v) => Math.sign(v) * Math.abs(v) ** (563 / 256),
+    toXyz: [
+      [573536 / 994567, 263643 / 1420810, 187206 / 994567],
+      [591459 / 1989134, 6239551 / 9945670, 374412 / 4972835],
+      [53769 / 1989134, 351524 / 4972835, 4929758 / 4972835],
+    ],
+  },
+  'prophoto-rgb': {
+    decode: (v) => (Math.abs(v) <= 16 / 512 ? v / 16 : Math.sign(v) * Math.abs(v) ** 1.8),
+    toXyz: [
+      [0.7977666449006423, 0.13518129740053308, 0.0313477341283922],
+      [0.2880748288194013, 0.711835234241873, 0.00008993693872564],
+      [0, 0, 0.8251046025104602],
+    ],
+    d50: true,
+  },
+  'rec2020': {
+    decode: (v) => {
+      const a = 1.09929682680944;
+      const b = 0.018053968510807;
+      const abs = Math.abs(v);
+      return abs < b * 4.5 ? v / 4.5 : Math.sign(v) * ((abs + a - 1) / a) ** (1 / 0.45);
+    },
+    toXyz: [
+      [63426534 / 99577255, 20160776 / 139408157, 47086771 / 278816314],
+      [26158966 / 99577255, 472592308 / 697040785, 8267143 / 139408157],
+      [0, 19567812 / 697040785, 295819943 / 278816314],
+    ],
+  },
+  'xyz': {decode: (v) => v, toXyz: [[1, 0, 0], [0, 1, 0], [0, 0, 1]]},
+  'xyz-d65': {decode: (v) => v, toXyz: [[1, 0, 0], [0, 1, 0], [0, 0, 1]]},
+  'xyz-d50': {decode: (v) => v, toXyz: [[1, 0, 0], [0, 1, 0], [0, 0, 1]], d50: true},
+};
+
+// XYZ (D65 unless `d50`) → linear sRGB.
+const xyzToLinearSrgb = (xyz, d50) => multiply(XYZ_D65_TO_LINEAR_SRGB, d50 ? multiply(D50_TO_D65, xyz) : xyz);
+
+const labToLinearSrgb = (l, a, b) => {
+  const kappa = 24389 / 27;
+  const epsilon = 216 / 24389;
+  const fy = (l + 16) / 116;
+  const fx = a / 500 + fy;
+  const fz = fy - b / 200;
+  const xyz = [
+    fx ** 3 > epsilon ? fx ** 3 : (116 * fx - 16) / kappa,
+    l > kappa * epsilon ? fy ** 3 : l / kappa,
+    fz ** 3 > epsilon ? fz ** 3 : (116 * fz - 16) / kappa,
+  ].map((v, i) => v * D50_WHITE[i]);
+  return xyzToLinearSrgb(xyz, true);
+};
+
+const oklabToLinearSrgb = (l, a, b) => {
+  const lms = [
+    l + 0.3963377774 * a + 0.2158037573 * b,
+    l - 0.1055613458 * a - 0.0638541728 * b,
+    l - 0.0894841775 * a - 1.291485548 * b,
+  ].map((v) => v ** 3);
+  return multiply([
+    [4.0767416621, -3.3077115913, 0.2309699292],
+    [-1.2684380046, 2.6097574011, -0.3413193965],
+    [-0.0041960863, -0.7034186147, 1.707614701],
+  ], lms);
+};
+
+const hslToRgb = (h, s, l) => {
+  const f = (n) => {
+    const k = (n + h / 30) % 12;
+    const a = s * Math.min(l, 1 - l);
+    return l - a * Math.max(-1, Math.min(k - 3, 9 - k, 1));
+  };
+  return [f(0), f(8), f(4)];
+};
+
+const hwbToRgb = (h, w, b) => {
+  if (w + b >= 1) return [w / (w + b), w / (w + b), w / (w + b)];
+  return hslToRgb(h, 1, 0.5).map((v) => v * (1 - w - b) + w);
+};
+
+/* ───────────── Functional notation ───────────── */
+
+const HUE_UNITS = {deg: 1, grad: 0.9, rad: 180 / Math.PI, turn: 360};
+
+/**
+ * One component of a colour function. `percentScale` is what 100% stands for in this position
+ * (null when percentages are not allowed there).
+ */
+const parseComponent = (token, percentScale) => {
+  if (token === 'none') return 0;
+  const m = /^([+-]?(?:\d+\.?\d*|\.\d+)(?:e[+-]?\d+)?)(%|deg|grad|rad|turn)?$/.exec(token);
+  if (!m) return null;
+  const num = parseFloat(m[1]);
+  if (m[2] === '%') return percentScale == null ? null : num / 100 * percentScale;
+  if (m[2]) return num * HUE_UNITS[m[2]];
+  return num;
+};
+
+const parseHue = (token) => {
+  if (token === 'none') return 0;
+  if (/%$/.test(token)) return null;
+  const hue = parseComponent(token, null);
+  return hue == null ? null : ((hue % 360) + 360) % 360;
+};
+
+// Splits "r g b / a" and "r, g, b, a" into component tokens and the alpha token.
+const splitArguments = (args) => {
+  const [main, alpha, extra] = args.split('/').map((part) => part.trim());
+  if (extra !== undefined) return null;
+  const parts = main.includes(',') ? main.split(',').map((part) => part.trim()) : main.split(/\s+/);
+  if (main.includes(',')) {
+    if (alpha !== undefined) return null;
+    return {parts: parts.slice(0, 3), alpha: parts[3], legacy: true, extra: parts.length > 4};
+  }
+  return {parts, alpha, legacy: false, extra: false};
+};
+
+const parseAlpha = (token) => {
+  if (token === undefined) return 1;
+  const alpha = parseComponent(token, 1);
+  return alpha == null ? null : Math.max(0, Math.min(1, alpha));
+};
+
+/**
+ * Parse a colour function into [r, g, b, alpha] with r/g/b as sRGB fractions (0..1).
+ * @returns {number[]|null}
+ */
+const parseColorFunction = (name, args) => {
+  const split = splitArguments(args);
+  if (!split || split.extra) return null;
+  const {parts, legacy} = split;
+  const alpha = parseAlpha(split.alpha);
+  if (alpha == null) return null;
+
+  if (name === 'color') {
+    const space = PREDEFINED_SPACES[parts[0]];
+    if (!space || legacy || parts.length !== 4) return null;
+    const values = parts.slice(1).map((token) => parseComponent(token, 1));
+    if (values.includes(null)) return null;
+    const linear = values.map(space.decode);
+    const rgb = space.toXyz ? xyzToLinearSrgb(multiply(space.toXyz, linear), space.d50) : linear;
+    return [...rgb.map(srgbEncode), alpha];
+  }
+  if (parts.length !== 3) return null;
+
+  let rgb;
+  switch (name) {
+    case 'rgb':
+    case 'rgba': {
+      const values = parts.map((token) => parseComponent(token, 255));
+      if (values.includes(null)) return null;
+      rgb = values.map((v) => v / 255);
+      break;
+    }
+    case 'hsl':
+    case 'hsla':
+    case 'hwb': {
+      if (name === 'hwb' && legacy) return null;
+      const hue = parseHue(parts[0]);
+      const x = parseComponent(parts[1], 100);
+      const y = parseComponent(parts[2], 100);
+      if (hue == null || x == null || y == null) return null;
+      const clamp = (v) => Math.max(0, Math.min(100, v)) / 100;
+      rgb = name === 'hwb' ? hwbToRgb(hue, clamp(x), clamp(y)) : hslToRgb(hue, clamp(x), clamp(y));
+      break;
+    }
+    case 'lab':
+    case 'oklab': {
+      if (legacy) return null;
+      const ok = name === 'oklab';
+      const l = parseComponent(parts[0], ok ? 1 : 100);
+      const a = parseComponent(parts[1], ok ? 0.4 : 125);
+      const b = parseComponent(parts[2], ok ? 0.4 : 125);
+      if (l == null || a == null || b == null) return null;
+      rgb = (ok ? oklabToLinearSrgb(l, a, b) : labToLinearSrgb(l, a, b)).map(srgbEncode);
+      break;
+    }
+    case 'lch':
+    case 'oklch': {
+      if (legacy) return null;
+      const ok = name === 'oklch';
+      const l = parseComponent(parts[0], ok ? 1 : 100);
+      const c = parseComponent(parts[1], ok ? 0.4 : 150);
+      const h = parseHue(parts[2]);
+      if (l == null || c == null || h == null) return null;
+      const rad = h * Math.PI / 180;
+      const [a, b] = [c * Math.cos(rad), c * Math.sin(rad)];
+      rgb = (ok ? oklabToLinearSrgb(l, a, b) : labToLinearSrgb(l, a, b)).map(srgbEncode);
+      break;
+    }
+    default:
+      return null;
+  }
+  return [...rgb, alpha];
+};
+
+/* ───────────── Public API ───────────── */
+
+/**
+ * Parse a CSS colour into an opaque sRGB triple. Translucent colours are blended over white;
+ * fully transparent colours, `auto` and other keywords without a fixed colour give null, as does
+ * anything unparseable. Bare 3/6-digit hex ("ff0000", as in legacy `<font color>`) is accepted.
+ *
+ * @param {string} str
+ * @returns {number[]|null} [r, g, b] with integers 0..255
+ */
+const parseColorToRgb = (str) => {
+  if (!str) return null;
+  const s = String(str).toLowerCase().replace(/!important\s*$/, '').trim();
+  if (!s || NO_COLOR.has(s)) return null;
+
+  let rgba;
+  const named = NAMED_COLORS[s] || SYSTEM_COLORS[s];
+  const hex = /^#([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/.exec(s) || /^([0-9a-f]{3}|[0-9a-f]{6})$/.exec(s);
+  const fn = /^([a-z]+)\(\s*([^()]*?)\s*\)$/.exec(s);
+  if (named) {
+    rgba = hexToRgba(named);
+  } else if (hex) {
+    rgba = hexToRgba(hex[1]);
+  } else if (fn) {
+    const parsed = parseColorFunction(fn[1], fn[2]);
+    if (!parsed) return null;
+    rgba = [...parsed.slice(0, 3).map((v) => Math.max(0, Math.min(1, v)) * 255), parsed[3]];
+  } else {
+    return null;
+  }
+
+  const alpha = rgba[3];
+  if (alpha === 0) return null;
+  return rgba.slice(0, 3).map((v) => Math.round(v * alpha + 255 * (1 - alpha)));
+};
+
+/**
+ * @param {number[]|null} rgb - [r, g, b]
+ * @returns {string|null} "#rrggbb"
+ */
+const rgbToHexColor = (rgb) => {
+  if (!rgb) return null;
+  const parts = rgb.map((value) => Math.max(0, Math.min(255, Math.round(Number(value) || 0))));
+  return `#${parts.map((value) => value.toString(16).padStart(2, '0')).join('')}`;
+};
+
+/**
+ * Colour value declared for `property` in an element's inline style. Falls back to reading the
+ * style attribute when the DOM's CSS parser rejected the value: jsdom does not know the Level 4
+ * functions or Word's `mso-*` properties.
+ *
+ * @param {Element} el
+ * @param {string} property - e.g. "color", "background-color", "mso-highlight".
+ * @returns {string}
+ */
+const declaredColor = (el, property) => {
+  const parsed = el.style && el.style.getPropertyValue(property);
+  if (parsed) return parsed;
+  const re = new RegExp(`(?:^|;)\\s*${property}\\s*:\\s*([^;]+)`, 'gi');
+  const style = (el.getAttribute && el.getAttribute('style')) || '';
+  let value = '';
+  for (let m = re.exec(style); m; m = re.exec(style)) value = m[1].trim();
+  return value;
+};
+
+module.exports = {
+  NAMED_COLORS,
+  declaredColor,
+  parseColorToRgb,
+  rgbToHexColor,
+};
@@ -0,0 +1,308 @@
+'use strict';
+
+/**
+ * LibreOffice conversion service shared by the import and export hooks.
+ *
+ * Conversions run through a bounded pool so a burst of imports cannot start an unbounded number
+ * of `soffice` processes:
+ *   • A fixed number of worker slots, each with its own LibreOffice user profile
+ *     (-env:UserInstallation) kept across jobs, so parallel conversions never fight over one
+ *     profile lock.
+ *   • A bounded FIFO queue; jobs beyond it are rejected straight away.
+ *   • A per-job timeout that kills the whole soffice process group.
+ *   • A configurable number of retries for failed or timed-out jobs.
+ *
+ * The pool does not keep soffice running: every job starts `soffice --convert-to` and waits for it
+ * to exit. What persists is each worker's profile, so only a worker's first conversion pays for
+ * creating one.
+ *
+ * Callers convert inside a private directory from makeWorkDir() and use convertToFile(), which
+ * knows the output name in advance, so concurrent conversions never see each other's files.
+ *
+ * The pool is configured with `ep_docx_html_customizer.conversion` in settings.json.
+ */
+
+const {spawn} = require('child_process');
+const fsp = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const url = require('url');
+const log4js = require('log4js');
+const settings = require('ep_etherpad-lite/node/utils/Settings');
+
+const logger = log4js.getLogger('ep_docx_html_customizer');
+
+const DEFAULT_POOL_OPTIONS = {
+  workers: 2,
+  maxQueue: 20,
+  timeoutMs: 120 * 1000,
+  retries: 1,
+};
+
+const WORK_DIR_PREFIX = 'ep_docx_html_customizer-';
+// Below the Etherpad root rather than the shared temp directory, where another local user could
+// create the profiles first.
+const DEFAULT_PROFILE_ROOT = 'var/ep_docx_html_customizer/profiles';
+
+// Lines of soffice stderr kept for the error reported back to the import.
+const OUTPUT_TAIL_LINES = 20;
+
+/**
+ * A failed conversion. `code` is one of:
+ *   notConfigured – settings.soffice is not set
+ *   queueFull     – the pool queue is full
+ *   spawnFailed   – soffice could not be started
+ *   timeout       – the conversion ran longer than timeoutMs and was killed
+ *   exitStatus    – soffice exited with a non-zero status or a signal
+ *   noOutput      – soffice exited cleanly but wrote no output file
+ */
+class ConversionError extends Error {
+  /**
+   * @param {string} code
+   * @param {string} message
+   * @param {object} [details] - {exitCode, signal, output}
+   */
+  constructor(code, message, details = {}) {
+    super(message);
+    this.name = 'ConversionError';
+    this.code = code;
+    this.exitCode = details.exitCode == null ? null : details.exitCode;
+    this.signal = details.signal || null;
+    this.output = details.output || '';
+    // A missing binary, bad configuration or a full queue does not get better by trying again.
+    this.retryable = ['timeout', 'exitStatus', 'noOutput'].includes(code);
+  }
+
+  /**
+   * @returns {object} The parts that are safe to show to the user.
+   */
+  toJSON() {
+    return {code: this.code, message: this.message, exitCode: this.exitCode, signal: this.signal};
+  }
+}
+
+/**
+ * Log each line of a child process stream and keep the last few lines.
+ *
+ * @param {stream.Readable} stream
+ * @param {function(string): void} log
+ * @param {string[]} tail - Receives the most recent lines.
+ */
+const pipeToLogger = (stream, log, tail) => {
+  let pending = '';
+  const emit = (line) => {
+    if (!line.trim()) return;
+    log(`[ep_docx_html_customizer] soffice: ${line}`);
+    tail.push(line);
+    if (tail.length > OUTPUT_TAIL_LINES) tail.shift();
+  };
+  stream.setEncoding('utf8');
+  stream.on('data', (chunk) => {
+    const lines = (pending + chunk).split(/\r?\n/);
+    pending = lines.pop();
+    lines.forEach(emit);
+  });
+  stream.on('end', () => emit(pending));
+};
+
+/**
+ * Run a single soffice conversion and wait for it to exit. Arguments are passed as an argv
+ * array, never through a shell, so file names cannot change the command.
+ *
+ * @param {object} job
+ * @param {string} job.srcFile
+ * @param {string} job.outDir
+ * @param {string} job.convertTo
+ * @param {string} [job.infilter]
+ * @param {string} job.profileDir - LibreOffice user profile for the worker running the job.
+ * @param {number} job.timeoutMs
+ * @returns {Promise<void>} Rejects with a ConversionError.
+ */
+const runSoffice = async ({srcFile, outDir, convertTo, infilter, profileDir, timeoutMs}) => {
+  if (!settings.soffice) {
+    throw new ConversionError('notConfigured', 'soffice path not configured in settings.json');
+  }
+  // Profiles hold macros and settings LibreOffice runs with; keep them private to this user.
+  await fsp.mkdir(path.dirname(profileDir), {recursive: true, mode: 0o700});
+  const args = [
+    `-env:UserInstallation=${url.pathToFileURL(profileDir).href}`,
+    '--headless', '--invisible', '--nologo', '--nolockcheck', '--writer',
+  ];
+  if (infilter) args.push(`--infilter=${infilter}`);
+  args.push('--convert-to', convertTo, '--outdir', outDir, srcFile);
+  logger.debug(`[ep_docx_html_customizer] Running ${settings.soffice} ${JSON.stringify(args)}`);
+
+  return new Promise((resolve, reject) => {
+    // detached: soffice forks soffice.bin, so the timeout has to kill the whole process group.
+    const child = spawn(settings.soffice, args, {detached: true, stdio: ['ignore', 'pipe', 'pipe']});
+    const stderrTail = [];
+    pipeToLogger(child.stdout, (line) => logger.debug(line), []);
+    pipeToLogger(child.stderr, (line) => logger.warn(line), stderrTail);
+
+    let timedOut = false;
+    const timer = setTimeout(() => {
+      timedOut = true;
+      try {
+        process.kill(-child.pid, 'SIGKILL');
+      } catch (_) {
+        child.kill('SIGKILL');
+      }
+    }, timeoutMs);
+
+    child.on('error', (err) => {
+      clearTimeout(timer);
+      reject(new ConversionError('spawnFailed', `could not start soffice: ${err.message}`));
+    });
+    // 'close' rather than 'exit' so the output streams are fully read.
+    child.on('close', (exitCode, signal) => {
+      clearTimeout(timer);
+      const output = stderrTail.join('\n');
+      if (timedOut) {
+        reject(new ConversionError('timeout', `soffice timed out after ${timeoutMs} ms`, {signal, output}));
+      } else if (exitCode !== 0) {
+        const status = exitCode === null ? `signal ${signal}` : `status ${exitCode}`;
+        reject(new ConversionError('exitStatus', `soffice exited with ${status}`, {exitCode, signal, output}));
+      } else {
+        logger.debug(`[ep_docx_html_customizer] soffice exited with status 0 for ${srcFile}`);
+        resolve();
+      }
+    });
+  });
+};
+
+/**
+ * Create a bounded conversion pool.
+ *
+ * @param {object} [opts]
+ * @param {number} [opts.workers] - Maximum number of concurrent conversions.
+ * @param {number} [opts.maxQueue] - Maximum number of jobs waiting for a worker.
+ * @param {number} [opts.timeoutMs] - Per-attempt time limit.
+ * @param {number} [opts.retries] - Extra attempts after a failed one.
+ * @param {string} [opts.profileRoot] - Directory holding one LibreOffice profile per worker,
+ *     relative to the Etherpad root.
+ * @param {function} [opts.runJob] - Runs one attempt; defaults to runSoffice.
+ * @returns {{convert: function(object): Promise<void>, stats: function(): object}}
+ */
+const createConversionPool = (opts = {}) => {
+  const {workers, maxQueue, timeoutMs, retries} = {...DEFAULT_POOL_OPTIONS, ...opts};
+  const profileRoot = path.resolve(settings.root || process.cwd(), opts.profileRoot || DEFAULT_PROFILE_ROOT);
+  const runJob = opts.runJob || runSoffice;
+  const queue = [];
+  const idleWorkers = Array.from({length: Math.max(1, workers)}, (_, i) => i);
+
+  const execute = async (worker, job) => {
+    const profileDir = path.join(profileRoot, `worker-${worker}`);
+    let lastError;
+    for (let attempt = 0; attempt <= retries; attempt++) {
+      try {
+        return await runJob({...job, profileDir, timeoutMs});
+      } catch (err) {
+        lastError = err;
+        if (err.retryable === false) break;
+        logger.warn(`[ep_docx_html_customizer] Conversion of ${job.srcFile} failed on worker ${worker} ` +
+          `(attempt ${attempt + 1}/${retries + 1}): ${err.message}`);
+      }
+    }
+    throw lastError;
+  };
+
+  const pump = () => {
+    while (idleWorkers.length && queue.length) {
+      const worker = idleWorkers.shift();
+      const {job, resolve, reject} = queue.shift();
+      execute(worker, job).then(resolve, reject).finally(() => {
+        idleWorkers.push(worker);
+        pump();
+      });
+    }
+  };
+
+  return {
+    convert: (job) => new Promise((resolve, reject) => {
+      if (queue.length >= maxQueue) {
+        reject(new ConversionError('queueFull', `conversion queue is full (${maxQueue} waiting)`));
+        return;
+      }
+      queue.push({job, resolve, reject});
+      pump();
+    }),
+    stats: () => ({queued: queue.length, busy: Math.max(1, workers) - idleWorkers.length}),
+  };
+};
+
+let defaultPool = null;
+const getDefaultPool = () => {
+  if (!defaultPool) {
+    const cfg = (settings.ep_docx_html_customizer && settings.ep_docx_html_customizer.conversion) || {};
+    defaultPool = createConversionPool(cfg);
+  }
+  return defaultPool;
+};
+
+/**
+ * Convert `srcFile` into `outDir` with `soffice --convert-to <convertTo>`. LibreOffice names the
+ * output after the source file's base name with the target extension.
+ *
+ * @param {string} srcFile - File to convert.
+ * @param {string} outDir - Directory LibreOffice writes the converted file into.
+ * @param {string} convertTo - LibreOffice target, e.g. "html" or "docx:MS Word 2007 XML".
+ * @param {object} [opts]
+ * @param {string} [opts.infilter] - Import filter name for formats Writer does not open by
+ *     default (e.g. "writer_pdf_import").
+ * @returns {Promise<void>} Rejects with a ConversionError.
+ */
+async function convertWithLibreOffice(srcFile, outDir, convertTo, opts = {}) {
+  if (!settings.soffice) {
+    throw new ConversionError('notConfigured', 'soffice path not configured in settings.json');
+  }
+  await getDefaultPool().convert({srcFile, outDir, convertTo, infilter: opts.infilter});
+}
+
+/**
+ * @returns {Promise<string>} A new empty directory, private to one conversion.
+ */
+const makeWorkDir = () => fsp.mkdtemp(path.join(os.tmpdir(), WORK_DIR_PREFIX));
+
+/**
+ * Remove a directory from makeWorkDir() with the converted file and its image side files.
+ *
+ * @param {string} workDir
+ */
+const removeWorkDir = async (workDir) => {
+  try {
+    await fsp.rm(workDir, {recursive: true, force: true});
+  } catch (err) {
+    logger.warn(`[ep_docx_html_customizer] Could not remove conversion directory ${workDir}: ${err.message}`);
+  }
+};
+
+/**
+ * Convert a file that sits in `workDir` and return the path of the output. LibreOffice names the
+ * output after the input's base name, so the result is known before the conversion starts.
+ *
+ * @param {string} srcFile - File inside workDir.
+ * @param {string} workDir - Directory from makeWorkDir().
+ * @param {string} convertTo - LibreOffice target, e.g. "html" or "docx:MS Word 2007 XML".
+ * @param {object} [opts] - Passed to convertWithLibreOffice.
+ * @returns {Promise<string>} Rejects with a ConversionError ("noOutput" if nothing was written).
+ */
+async function convertToFile(srcFile, workDir, convertTo, opts = {}) {
+  await convertWithLibreOffice(srcFile, workDir, convertTo, opts);
+  const outputFile = path.join(workDir, `${path.parse(srcFile).name}.${convertTo.split(':')[0]}`);
+  try {
+    await fsp.access(outputFile);
+  } catch (_) {
+    throw new ConversionError('noOutput', `soffice did not produce ${path.basename(outputFile)}`);
+  }
+  return outputFile;
+}
+
+module.exports = {
+  ConversionError,
+  convertToFile,
+  convertWithLibreOffice,
+  createConversionPool,
+  makeWorkDir,
+  removeWorkDir,
+  runSoffice,
+};
@@ -0,0 +1,292 @@
+'use strict';
+
+/**
+ * Export support for ep_docx_html_customizer.
+ *
+ * The import side turns office documents into Etherpad structures (tbljson table rows, image
+ * spans, hyperlink spans, colour and size classes). These hooks reverse that on export:
+ *   1. exportHtmlAdditionalTagsWithData / getLineHTMLForExport make Etherpad's HTML export carry
+ *      the attribute values as data-* markers.
+ *   2. exportConvert rewrites those markers into semantic HTML (<table>, <img>, <a>, inline
+ *      styles) and, for .docx/.doc/.odt, converts the result with the configured soffice.
+ */
+
+const fsp = require('fs').promises;
+const path = require('path');
+const log4js = require('log4js');
+const {JSDOM} = require('jsdom');
+const settings = require('ep_etherpad-lite/node/utils/Settings');
+const {convertToFile, makeWorkDir, removeWorkDir} = require('./converter');
+const {DELIMITER, ZWSP} = require('./transform_common');
+
+const logger = log4js.getLogger('ep_docx_html_customizer');
+
+// Character attributes exported as <span data-KEY="VALUE"> by Etherpad core.
+const DATA_ATTRIBUTES = [
+  'image', 'image-width', 'image-height', 'hyperlink', 'anchor', 'color', 'font-size', 'font-family',
+  'highlight',
+];
+
+// Export formats we convert ourselves. Anything else (pdf, rtf, …) keeps the rewritten HTML and
+// lets Etherpad's own converter take over.
+const OFFICE_FORMATS = {
+  docx: 'docx:MS Word 2007 XML',
+  doc: 'doc:MS Word 97',
+  odt: 'odt',
+};
+
+/**
+ * exportHtmlAdditionalTagsWithData hook – lists every [key, value] pair in the pad pool that the
+ * export rewrite understands. Core writes them as `<span data-KEY="VALUE">` without escaping, so
+ * values that could break out of the attribute (`"`) or open a tag (`<`) are skipped. A bare `&`
+ * parses back as itself inside a quoted attribute, so links with query strings are kept.
+ *
+ * @param {string} hookName
+ * @param {object} pad
+ * @returns {Array<[string, string]>}
+ */
+exports.exportHtmlAdditionalTagsWithData = (hookName, pad) => {
+  const tags = [];
+  pad.pool.eachAttrib((key, value) => {
+    if (!DATA_ATTRIBUTES.includes(key) || !value) return;
+    if (/["<]/.test(value)) return;
+    tags.push([key, value]);
+  });
+  return tags;
+};
+
+/**
+ * getLineHTMLForExport hook – wraps table rows in a marker span carrying the row's tbljson
+ * metadata so exportConvert can rebuild the <table>.
+ *
+ * @param {string} hookName
+ * @param {object} context - {attribLine, lineContent, padId, …}
+ */
+exports.getLineHTMLForExport = async (hookName, context) => {
+  if (!context.attribLine || !context.padId) return;
+  const padManager = require('ep_etherpad-lite/node/db/PadManager');
+  const pad = await padManager.getPad(context.padId);
+  const re = /\*([0-9a-z]+)/g;
+  let m;
+  while ((m = re.exec(context.attribLine)) !== null) {
+    const attrib = pad.pool.getAttrib(parseInt(m[1], 36));
+    if (attrib && attrib[0] === 'tbljson' && attrib[1]) {
+      const encoded = Buffer.from(attrib[1]).toString('base64');
+      context.lineContent = `<span data-ep-docx-tbljson="${encoded}">${context.lineContent}</span>`;
+      return;
+    }
+  }
+};
+
+/**
+ * Apply the merge, shading, border and width metadata of a tbljson row to one exported cell.
+ *
+ * @param {Element} td
+ * @param {object} meta - Row metadata ({columnWidths, cellBackgrounds, cellBorders, …}).
+ * @param {number} col
+ */
+const applyCellMeta = (td, meta, col) => {
+  const merge = (meta.merges || []).find((m) => m.row === meta.row && m.col === col);
+  if (merge && merge.colspan > 1) td.setAttribute('colspan', String(merge.colspan));
+  if (merge && merge.rowspan > 1) td.setAttribute('rowspan', String(merge.rowspan));
+  const spanned = Array.isArray(meta.columnWidths) ?
+    meta.columnWidths.slice(col, col + (merge ? merge.colspan : 1)) : [];
+  const width = Math.round(spanned.reduce((sum, w) => sum + Number(w), 0) * 100) / 100;
+  if (width > 0) td.setAttribute('width', `${width}%`);
+  const background = meta.cellBackgrounds && meta.cellBackgrounds[col];
+  if (/^#[0-9a-f]{6}$/i.test(background || '')) td.style.backgroundColor = background;
+  const borders = meta.cellBorders && meta.cellBorders[col];
+  if (Array.isArray(borders)) {
+    // Appended as text: jsdom's CSSStyleDeclaration drops "none" border values.
+    const missing = ['top', 'right', 'bottom', 'left'].filter((side) => !borders.includes(side));
+    const declarations = missing.map((side) => `border-${side}: none;`).join(' ');
+    if (declarations) td.setAttribute('style', `${td.getAttribute('style') || ''} ${declarations}`.trim());
+  }
+};
+
+/**
+ * Rewrite Etherpad's export markers into semantic HTML, in place.
+ *
+ * @param {Document} document
+ * @returns {boolean} true if anything changed
+ */
+const rewriteExportDocument = (document) => {
+  let modified = false;
+
+  // Images: the ZWSP placeholder becomes a real <img>.
+  document.querySelectorAll('span[data-image]').forEach((span) => {
+    const lookup = (name) => {
+      const holder = span.matches(`[data-${name}]`) ? span :
+        span.querySelector(`[data-${name}]`) || span.closest(`[data-${name}]`);
+      return holder ? holder.getAttribute(`data-${name}`) : null;
+    };
+    let src;
+    try {
+      src = decodeURIComponent(span.getAttribute('data-image'));
+    } catch (_) {
+      return;
+    }
+    if (!/^(https?:|data:image\/)/i.test(src)) return;
+    const img = document.createElement('img');
+    img.setAttribute('src', src);
+    const width = parseFloat(lookup('image-width'));
+    const height = parseFloat(lookup('image-height'));
+    if (width > 0) img.setAttribute('width', String(Math.round(width)));
+    if (height > 0) img.setAttribute('height', String(Math.round(height)));
+    span.parentNode.replaceChild(img, span);
+    modified = true;
+  });
+
+  // Hyperlinks
+  document.querySelectorAll('span[data-hyperlink]').forEach((span) => {
+    const href = span.getAttribute('data-hyperlink');
+    if (!/^(https?:|mailto:|ftp:|#|\/)/i.test(href)) return;
+    const a = document.createElement('a');
+    a.setAttribute('href', href);
+    while (span.firstChild) a.appendChild(span.firstChild);
+    span.parentNode.replaceChild(a, span);
+    modified = true;
+  });
+
+  // Link targets (footnotes and their back-references) become named anchors, which LibreOffice
+  // turns into bookmarks.
+  document.querySelectorAll('span[data-anchor]').forEach((span) => {
+    const name = span.getAttribute('data-anchor');
+    span.removeAttribute('data-anchor');
+    if (!/^[A-Za-z][\w-]*$/.test(name)) return;
+    const a = document.createElement('a');
+    a.setAttribute('name', name);
+    a.setAttribute('id', name);
+    // Empty, so it never nests the <a href> of the footnote link.
+    span.insertBefore(a, span.firstChild);
+    modified = true;
+  });
+
+  // Colour, size, font and highlight become inline styles that LibreOffice maps to run properties.
+  const styled = 'span[data-color], span[data-font-size], span[data-font-family], span[data-highlight]';
+  document.querySelectorAll(styled).forEach((span) => {
+    const color = span.getAttribute('data-color');
+    const size = parseFloat(span.getAttribute('data-font-size'));
+    const family = span.getAttribute('data-font-family');
+    const highlight = span.getAttribute('data-highlight');
+    if (color && /^#[0-9a-f]{3,8}$|^[a-z]+$/i.test(color)) span.style.color = color;
+    if (size > 0) span.style.fontSize = `${size}px`;
+    if (family && /^[a-z0-9-]+$/i.test(family)) span.style.fontFamily = family;
+    if (highlight && /^#[0-9a-f]{6}$/i.test(highlight)) span.style.backgroundColor = highlight;
+    span.removeAttribute('data-color');
+    span.removeAttribute('data-font-size');
+    span.removeAttribute('data-font-family');
+    span.removeAttribute('data-highlight');
+    modified = true;
+  });
+  document.querySelectorAll('[data-image-width], [data-image-height]').forEach((el) => {
+    el.removeAttribute('data-image-width');
+    el.removeAttribute('data-image-height');
+  });
+
+  // Tables: consecutive row markers with the same tblId form one <table>.
+  let currentTable = null;
+  let currentTblId = null;
+  Array.from(document.querySelectorAll('span[data-ep-docx-tbljson]')).forEach((rowSpan) => {
+    let meta;
+    try {
+      meta = JSON.parse(Buffer.from(rowSpan.getAttribute('data-ep-docx-tbljson'), 'base64').toString());
+    } catch (_) {
+      return;
+    }
+
+    // Rows are separated by the <br> Etherpad writes after every line.
+    let prev = rowSpan.previousSibling;
+    while (prev && ((prev.nodeType === 3 && !prev.textContent.trim()) ||
+        (prev.nodeType === 1 && prev.tagName.toLowerCase() === 'br'))) {
+      prev = prev.previousSibling;
+    }
+    if (!currentTable || currentTblId !== meta.tblId || prev !== currentTable) {
+      currentTable = document.createElement('table');
+      currentTable.setAttribute('border', '1');
+      currentTable.setAttribute('cellspacing', '0');
+      rowSpan.parentNode.insertBefore(currentTable, rowSpan);
+      currentTblId = meta.tblId;
+    }
+
+    const tr = document.createElement('tr');
+    const covered = new Set();
+    (Array.isArray(meta.merges) ? meta.merges : []).forEach((m) => {
+      for (let c = m.col; c < m.col + m.colspan; c++) {
+        if (meta.row !== m.row || c !== m.col) covered.add(c);
+      }
+    });
+    rowSpan.innerHTML.split(DELIMITER).forEach((cellHtml, col) => {
+      if (covered.has(col)) return;
+      const td = document.createElement('td');
+      td.innerHTML = cellHtml;
+      applyCellMeta(td, meta, col);
+      tr.appendChild(td);
+    });
+    currentTable.appendChild(tr);
+
+    // Drop the row marker and the line break that followed it.
+    let next = rowSpan.nextSibling;
+    while (next && next.nodeType === 3 && !next.textContent.trim()) next = next.nextSibling;
+    if (next && next.nodeType === 1 && next.tagName.toLowerCase() === 'br') next.parentNode.removeChild(next);
+    rowSpan.parentNode.removeChild(rowSpan);
+    modified = true;
+  });
+
+  // The ZWSP guards around images and links are editor artefacts.
+  const walker = document.createTreeWalker(document.body, 4 /* NodeFilter.SHOW_TEXT */);
+  const textNodes = [];
+  while (walker.nextNode()) textNodes.push(walker.currentNode);
+  textNodes.forEach((node) => {
+    if (!node.textContent.includes(ZWSP)) return;
+    node.textContent = node.textContent.split(ZWSP).join('');
+    modified = true;
+  });
+
+  return modified;
+};
+
+/**
+ * exportConvert hook – rewrites the exported HTML and converts it to .docx/.doc/.odt.
+ *
+ * @param {string} hookName
+ * @param {object} context - {srcFile, destFile, req, res}
+ * @returns {Promise<boolean|undefined>} true if this plugin produced destFile, undefined to let
+ *     Etherpad convert the (rewritten) HTML itself.
+ */
+exports.exportConvert = async (hookName, {srcFile, destFile}) => {
+  const type = path.extname(destFile).slice(1).toLowerCase();
+  try {
+    const html = await fsp.readFile(srcFile, 'utf8');
+    const dom = new JSDOM(html);
+    if (rewriteExportDocument(dom.window.document)) {
+      await fsp.writeFile(srcFile, dom.serialize());
+      logger.debug(`[ep_docx_html_customizer] Rewrote export HTML ${srcFile}`);
+    }
+  } catch (err) {
+    logger.error(`[ep_docx_html_customizer] Failed to rewrite export HTML ${srcFile}:`, err);
+    return;
+  }
+
+  if (!OFFICE_FORMATS[type] || !settings.soffice) return;
+
+  const workDir = await makeWorkDir();
+  try {
+    const htmlFile = path.join(workDir, 'export.html');
+    await fsp.copyFile(srcFile, htmlFile);
+    // Like Etherpad core, go through ODT first: LibreOffice's direct HTML → Word filters lose
+    // table and image layout.
+    let produced = await convertToFile(htmlFile, workDir, 'odt');
+    if (type !== 'odt') produced = await convertToFile(produced, workDir, OFFICE_FORMATS[type]);
+    await fsp.copyFile(produced, destFile);
+    logger.info(`[ep_docx_html_customizer] Exported ${destFile}`);
+    return true;
+  } catch (err) {
+    logger.error(`[ep_docx_html_customizer] Export conversion to ${type} failed:`, err);
+    return;
+  } finally {
+    await removeWorkDir(workDir);
+  }
+};
+
+exports.rewriteExportDocument = rewriteExportDocument;
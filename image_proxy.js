@@ -0,0 +1,363 @@
+'use strict';
+
+/**
+ * Outbound image fetches for the /ep_docx_image_proxy route.
+ *
+ * The proxy fetches URLs chosen by pad users, so it must not become a way into the server's own
+ * network (SSRF). Every fetch:
+ *   • Resolves the host name and refuses it if any resolved address is loopback, private,
+ *     link-local, CGNAT, multicast or otherwise not publicly routable, in IPv4 or IPv6,
+ *     including IPv4 addresses embedded in IPv6 (::ffff:a.b.c.d, NAT64).
+ *   • Connects to exactly the address that was checked, so a second DNS answer cannot swap in
+ *     another target (DNS rebinding).
+ *   • Follows redirects itself, repeating the checks for every hop.
+ *
+ * inspectImage() then checks the body: it must start with the signature of a raster image format
+ * and stay under a byte limit while it streams, whatever the upstream headers claim. SVG is never
+ * recognised, because it can carry script.
+ *
+ * Numeric host spellings (decimal "2130706433", octal "0177.0.0.1", hex) need no special case:
+ * the WHATWG URL parser normalises them to dotted IPv4 before the check.
+ */
+
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const {Transform} = require('stream');
+const log4js = require('log4js');
+
+const logger = log4js.getLogger('ep_docx_html_customizer');
+
+const DEFAULT_FETCH_OPTIONS = {
+  timeoutMs: 10 * 1000,
+  maxRedirects: 5,
+};
+
+const FORBIDDEN_RANGES = new net.BlockList();
+[
+  ['0.0.0.0', 8], // "this" network
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10], // carrier-grade NAT
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16], // link-local, cloud metadata
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24], // IETF protocol assignments
+  ['192.0.2.0', 24], // documentation
+  ['192.88.99.0', 24], // 6to4 relay
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15], // benchmarking
+  ['198.51.100.0', 24],
+  ['203.0.113.0', 24],
+  ['224.0.0.0', 4], // multicast
+  ['240.0.0.0', 4], // reserved, broadcast
+].forEach(([address, prefix]) => FORBIDDEN_RANGES.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128], // unspecified
+  ['::1', 128],
+  ['100::', 64], // discard
+  ['2001::', 32], // Teredo
+  ['2001:db8::', 32], // documentation
+  ['2002::', 16], // 6to4
+  ['fc00::', 7], // unique local
+  ['fe80::', 10], // link-local
+  ['fec0::', 10], // site-local (deprecated)
+  ['ff00::', 8], // multicast
+].forEach(([address, prefix]) => FORBIDDEN_RANGES.addSubnet(address, prefix, 'ipv6'));
+
+// Enough leading bytes for every signature below.
+const SNIFF_BYTES = 12;
+
+// [MIME type, test of the leading bytes]
+const IMAGE_SIGNATURES = [
+  ['image/png', (b) => b.subarray(0, 8).equals(Buffer.from('89504e470d0a1a0a', 'hex'))],
+  ['image/jpeg', (b) => b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff],
+  ['image/gif', (b) => /^GIF8[79]a/.test(b.toString('latin1', 0, 6))],
+  ['image/webp', (b) => b.toString('latin1', 0, 4) === 'RIFF' && b.toString('latin1', 8, 12) === 'WEBP'],
+  ['image/avif', (b) => b.toString('latin1', 4, 8) === 'ftyp' && /^avi[fs]$/.test(b.toString('latin1', 8, 12))],
+  ['image/bmp', (b) => b.toString('latin1', 0, 2) === 'BM'],
+  ['image/tiff', (b) => ['49492a00', '4d4d002a'].includes(b.toString('hex', 0, 4))],
+  ['image/vnd.microsoft.icon', (b) => b.toString('hex', 0, 4) === '00000100'],
+];
+
+// IPv6 prefixes whose last 32 bits are an IPv4 address: IPv4-mapped, IPv4-compatible
+// (deprecated) and the NAT64 well-known prefix.
+const EMBEDDED_IPV4_RE = /^(?:::ffff:|::|64:ff9b::)(?:(\d+\.\d+\.\d+\.\d+)|([0-9a-f]{1,4}):([0-9a-f]{1,4}))$/i;
+
+/**
+ * A refused or failed proxy fetch. `code` is one of:
+ *   badUrl           – not an absolute http(s) URL
+ *   forbiddenAddress – the host is or resolves to a non-public address
+ *   dnsFailed        – the host name did not resolve
+ *   tooManyRedirects – more than maxRedirects hops
+ *   timeout          – no complete response within timeoutMs
+ *   upstream         – the connection failed
+ *   tooLarge         – the body is larger than the byte limit
+ *   notAnImage       – the body does not start with a supported image signature
+ * `status` is the HTTP status the proxy route answers with.
+ */
+class ImageProxyError extends Error {
+  /**
+   * @param {string} code
+   * @param {string} message
+   */
+  constructor(code, message) {
+    super(message);
+    this.name = 'ImageProxyError';
+    this.code = code;
+    this.status = {badUrl: 400, forbiddenAddress: 403, tooLarge: 413, notAnImage: 415, timeout: 504}[code] || 502;
+  }
+}
+
+/**
+ * Whether an IP address is outside the public internet.
+ *
+ * @param {string} address - IPv4 or IPv6, without brackets.
+ * @returns {boolean} true for anything that is not a valid public address.
+ */
+const isForbiddenAddress = (address) => {
+  const family = net.isIP(address);
+  if (family === 4) return FORBIDDEN_RANGES.check(address, 'ipv4');
+  if (family !== 6) return true;
+  const lc = address.toLowerCase().replace(/%.*$/, ''); // zone index ("fe80::1%eth0")
+  const embedded = EMBEDDED_IPV4_RE.exec(lc);
+  if (embedded && lc !== '::' && lc !== '::1') {
+    const v4 = embedded[1] || [embedded[2], embedded[3]]
+        .map((hex) => parseInt(hex, 16))
+        .map((n) => `${n >> 8}.${n & 255}`).join('.');
+    return isForbiddenAddress(v4);
+  }
+  return FORBIDDEN_RANGES.check(lc, 'ipv6');
+};
+
+// [{address, family}] for a host name, in resolver order.
+const dnsLookup = (hostname) => dns.promises.lookup(hostname, {all: true, verbatim: true});
+
+/**
+ * Create a fetcher. The defaults are used by the proxy route; tests inject a resolver and an
+ * address check so they can point host names at a local stub server.
+ *
+ * @param {object} [opts]
+ * @param {function(string): Promise<Array<{address: string, family: number}>>} [opts.lookup]
+ * @param {function(string): boolean} [opts.isForbiddenAddress]
+ * @param {number} [opts.timeoutMs] - For the whole fetch, redirects included.
+ * @param {number} [opts.maxRedirects]
+ * @returns {{fetch: function(string): Promise<http.IncomingMessage>}}
+ */
+const createImageFetcher = (opts = {}) => {
+  const lookup = opts.lookup || dnsLookup;
+  const isForbidden = opts.isForbiddenAddress || isForbiddenAddress;
+  const {timeoutMs, maxRedirects} = {...DEFAULT_FETCH_OPTIONS, ...opts};
+
+  // Check a URL and return the address to connect to.
+  const resolveTarget = async (url) => {
+    const hostname = url.hostname.replace(/^\[(.*)\]$/, '$1');
+    if (net.isIP(hostname)) {
+      if (isForbidden(hostname)) {
+        throw new ImageProxyError('forbiddenAddress', `Refusing non-public address ${hostname}`);
+      }
+      return {address: hostname, family: net.isIP(hostname)};
+    }
+    let addresses;
+    try {
+      addresses = await lookup(hostname);
+    } catch (err) {
+      throw new ImageProxyError('dnsFailed', `Could not resolve ${hostname}: ${err.code || err.message}`);
+    }
+    if (!addresses || !addresses.length) {
+      throw new ImageProxyError('dnsFailed', `Could not resolve ${hostname}`);
+    }
+    // One bad answer is enough: the client could be handed any of them.
+    const bad = addresses.find(({address}) => isForbidden(address));
+    if (bad) {
+      throw new ImageProxyError('forbiddenAddress', `${hostname} resolves to non-public address ${bad.address}`);
+    }
+    return addresses[0];
+  };
+
+  // One request, connected to `target` whatever the host name resolves to by then.
+  const request = (url, target, signal) => new Promise((resolve, reject) => {
+    const client = url.protocol === 'https:' ? https : http;
+    const req = client.get(url, {
+      signal,
+      headers: {'Accept': 'image/*', 'User-Agent': 'ep_docx_html_customizer image proxy'},
+      lookup: (hostname, options, callback) => {
+        if (options && options.all) callback(null, [target]);
+        else callback(null, target.address, target.family);
+      },
+    }, resolve);
+    req.on('error', reject);
+  });
+
+  const fetch = async (rawUrl) => {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+    try {
+      let url = rawUrl;
+      for (let hop = 0; ; hop++) {
+        let parsed;
+        try {
+          parsed = new URL(url);
+        } catch (_) {
+          throw new ImageProxyError('badUrl', 'Malformed url');
+        }
+        if (!/^https?:$/.test(parsed.protocol)) throw new ImageProxyError('badUrl', 'Only http(s) URLs are allowed');
+
+        const target = await resolveTarget(parsed);
+        if (controller.signal.aborted) throw new ImageProxyError('timeout', 'Image fetch timed out');
+        let res;
+        try {
+          res = await request(parsed, target, controller.signal);
+        } catch (err) {
+          if (controller.signal.aborted) throw new ImageProxyError('timeout', 'Image fetch timed out');
+          throw new ImageProxyError('upstream', `Fetching ${parsed.host} failed: ${err.code || err.message}`);
+        }
+
+        const location = res.headers.location;
+        if (res.statusCode >= 300 && res.statusCode < 400 && location) {
+          res.resume();
+          if (hop >= maxRedirects) throw new ImageProxyError('tooManyRedirects', 'Too many redirects');
+          url = new URL(location, parsed).href;
+          logger.debug(`[ep_docx_html_customizer] Image proxy following redirect to ${url}`);
+          continue;
+        }
+        // The body still streams after this returns; keep the deadline until it ends.
+        const done = () => clearTimeout(timer);
+        res.on('end', done);
+        res.on('close', done);
+        return res;
+      }
+    } catch (err) {
+      clearTimeout(timer);
+      throw err;
+    }
+  };
+
+  return {fetch};
+};
+
+/**
+ * Identify an image by its leading bytes.
+ *
+ * @param {Buffer} head - At least the first SNIFF_BYTES bytes, when the body is that long.
+ * @returns {string|null} The MIME type, or null if it is not a supported raster image.
+ */
+const sniffImageType = (head) => {
+  const match = IMAGE_SIGNATURES.find(([, test]) => test(head));
+  return match ? match[0] : null;
+};
+
+/**
+ * Check a fetched body while it streams. Waits for the leading bytes, sniffs them, and resolves
+ * with the detected type and a stream of the complete body. That stream fails with a `tooLarge`
+ * ImageProxyError, and the upstream is closed, as soon as more than `maxBytes` have arrived.
+ *
+ * @param {stream.Readable} upstream - Usually the response from fetchImage().
+ * @param {object} opts
+ * @param {number} opts.maxBytes
+ * @returns {Promise<{type: string, stream: stream.Readable}>} Rejects with `notAnImage` or
+ *     `tooLarge` before any byte is released.
+ */
+const inspectImage = (upstream, {maxBytes}) => new Promise((resolve, reject) => {
+  const head = [];
+  let received = 0;
+  let sniffed = false;
+
+  const guard = new Transform({
+    transform(chunk, encoding, callback) {
+      received += chunk.length;
+      if (received > maxBytes) {
+        callback(new ImageProxyError('tooLarge', `Image is larger than ${maxBytes} bytes`));
+        return;
+      }
+      if (sniffed) {
+        callback(null, chunk);
+        return;
+      }
+      head.push(chunk);
+      callback(received >= SNIFF_BYTES ? sniff() : null);
+    },
+    flush(callback) {
+      callback(sniffed ? null : sniff());
+    },
+  });
+
+  // Release the buffered head once the type is known, or return the reason to fail.
+  const sniff = () => {
+    sniffed = true;
+    const bytes = Buffer.concat(head);
+    const type = sniffImageType(bytes);
+    if (!type) return new ImageProxyError('notAnImage', 'Response is not a supported image');
+    guard.push(bytes);
+    resolve({type, stream: guard});
+    return null;
+  };
+
+  guard.on('error', reject); // no-op once resolved; the consumer handles later errors
+  guard.on('close', () => upstream.destroy());
+  upstream.on('error', (err) => guard.destroy(err));
+  upstream.pipe(guard);
+});
+
+let defaultFetcher;
+
+/**
+ * Fetch an image URL with the default resolver and checks.
+ *
+ * @param {string} url
+ * @returns {Promise<http.IncomingMessage>} The final (non-redirect) response.
+ */
+const fetchImage = (url) => {
+  if (!defaultFetcher) defaultFetcher = createImageFetcher();
+  return defaultFetcher.fetch(url);
+};
+
+/**
+ * Fetch an image URL and check the response: a 2xx status, a body within `maxBytes` and a
+ * supported image signature.
+ *
+ * @param {string} url
+ * @param {object} opts
+ * @param {number} opts.maxBytes
+ * @param {function(string): Promise<http.IncomingMessage>} [opts.fetch] - Defaults to fetchImage.
+ * @returns {Promise<{type: string, stream: stream.Readable}>} See inspectImage().
+ */
+const openImage = async (url, {maxBytes, fetch = fetchImage}) => {
+  const res = await fetch(url);
+  if (res.statusCode < 200 || res.statusCode >= 300) {
+    res.resume();
+    throw new ImageProxyError('upstream', `${url} answered with status ${res.statusCode}`);
+  }
+  // Refuse announced large bodies before reading any of them.
+  const length = parseInt(res.headers['content-length'] || '0', 10);
+  if (length > maxBytes) {
+    res.destroy();
+    throw new ImageProxyError('tooLarge', `Image is larger than ${maxBytes} bytes`);
+  }
+  return inspectImage(res, {maxBytes});
+};
+
+/**
+ * Like openImage(), but reads the whole body.
+ *
+ * @param {string} url
+ * @param {object} opts - As for openImage().
+ * @returns {Promise<{type: string, buffer: Buffer}>}
+ */
+const downloadImage = async (url, opts) => {
+  const {type, stream} = await openImage(url, opts);
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(chunk);
+  return {type, buffer: Buffer.concat(chunks)};
+};
+
+module.exports = {
+  ImageProxyError,
+  createImageFetcher,
+  downloadImage,
+  fetchImage,
+  inspectImage,
+  isForbiddenAddress,
+  openImage,
+  sniffImageType,
+};
@@ -0,0 +1,319 @@
+'use strict';
+
+/**
+ * Image storage for ep_docx_html_customizer.
+ *
+ * Imported and pasted images are stored through one of two backends:
+ *   • "s3_presigned" – the S3 bucket configured for ep_images_extended (default).
+ *   • "local"        – a directory on the Etherpad host, served by the /ep_docx_images route
+ *                      that expressCreateServer registers in index.js.
+ *
+ * The backend is chosen by `ep_docx_html_customizer.storage`, falling back to
+ * `ep_images_extended.storage`. Size and type limits always come from ep_images_extended
+ * (`fileTypes`, `maxFileSize`) so both plugins accept the same images.
+ *
+ * Stored objects are named after the SHA-256 of their content, so storing the same image again
+ * reuses the existing object. `ep_docx_html_customizer.dedupe` sets the scope: "pad" (default)
+ * shares objects within a pad, "global" across all pads, "off" stores every image under a new
+ * random name.
+ */
+
+const fsp = require('fs').promises;
+const path = require('path');
+const url = require('url');
+const {createHash, randomUUID} = require('crypto');
+const log4js = require('log4js');
+const mime = require('mime');
+const settings = require('ep_etherpad-lite/node/utils/Settings');
+
+const logger = log4js.getLogger('ep_docx_html_customizer');
+
+// AWS SDK v3 for S3 uploads (optional - only needed when s3_presigned storage is used)
+let S3Client, PutObjectCommand, HeadObjectCommand, getSignedUrl;
+try {
+  ({S3Client, PutObjectCommand, HeadObjectCommand} = require('@aws-sdk/client-s3'));
+  ({getSignedUrl} = require('@aws-sdk/s3-request-presigner'));
+} catch (e) {
+  logger.warn('[ep_docx_html_customizer] AWS SDK not installed; S3 upload will not work.');
+}
+
+// URL prefix of the route that serves locally stored images.
+const LOCAL_ROUTE = '/ep_docx_images';
+const DEFAULT_LOCAL_PATH = 'var/ep_docx_html_customizer/images';
+// Stored file names are always `<sha256>.<ext>` or `<uuid>.<ext>`; anything else is refused by
+// the route.
+const STORED_NAME_RE = /^(?:[0-9a-f]{64}|[0-9a-f-]{36})\.[a-z0-9]{1,5}$/;
+// Directory / key prefix for images deduplicated across pads. "$" is replaced by padDirName()
+// and only appears in valid pad ids after a group prefix, so no pad's images can land here.
+const SHARED_DIR = '$shared';
+const DEDUPE_SCOPES = ['pad', 'global', 'off'];
+
+/**
+ * @returns {object|null} The active storage configuration.
+ */
+const getStorageConfig = () => {
+  const own = settings.ep_docx_html_customizer && settings.ep_docx_html_customizer.storage;
+  const shared = settings.ep_images_extended && settings.ep_images_extended.storage;
+  return own || shared || null;
+};
+
+/**
+ * @returns {string|null} "s3_presigned", "local", or null when no storage is configured.
+ */
+const getStorageType = () => {
+  const cfg = getStorageConfig();
+  return cfg && ['s3_presigned', 'local'].includes(cfg.type) ? cfg.type : null;
+};
+
+/**
+ * Whether an image MIME type is accepted by ep_images_extended's `fileTypes` (any image type
+ * when that list is not configured).
+ *
+ * @param {string} mimeType
+ * @returns {boolean}
+ */
+const isAllowedImageType = (mimeType) => {
+  const ext = mime.getExtension(mimeType || '');
+  if (!ext || !/^image\//i.test(mimeType)) return false;
+  const cfg = settings.ep_images_extended || {};
+  if (!Array.isArray(cfg.fileTypes) || !cfg.fileTypes.length) return true;
+  const allowed = cfg.fileTypes.map((t) => String(t).toLowerCase());
+  // mime maps image/jpeg to "jpeg" and image/tiff to "tif"; configs usually list the long forms.
+  return allowed.includes(ext) || (ext === 'jpeg' && allowed.includes('jpg')) ||
+    (ext === 'tif' && allowed.includes('tiff'));
+};
+
+/**
+ * Check an image against ep_images_extended's `fileTypes` and `maxFileSize`.
+ *
+ * @param {Buffer} imageBuffer
+ * @param {string} mimeType
+ * @returns {string|null} A reason for rejecting the image, or null if it is acceptable.
+ */
+const checkImageLimits = (imageBuffer, mimeType) => {
+  const cfg = settings.ep_images_extended || {};
+  if (cfg.maxFileSize && imageBuffer.length > cfg.maxFileSize) {
+    return `image is ${imageBuffer.length} bytes, larger than maxFileSize ${cfg.maxFileSize}`;
+  }
+  const ext = mime.getExtension(mimeType || '');
+  if (!ext || !/^image\//i.test(mimeType)) return `unsupported content type ${mimeType}`;
+  if (!isAllowedImageType(mimeType)) return `file type ${ext} is not in ep_images_extended.fileTypes`;
+  return null;
+};
+
+const extensionFor = (mimeType, originalPath) => {
+  const fromMime = mime.getExtension(mimeType || '');
+  if (fromMime) return `.${fromMime}`;
+  const ext = path.extname(originalPath || '') || '.png';
+  return ext.startsWith('.') ? ext : `.${ext}`;
+};
+
+// Pad ids may contain characters that are unsafe in paths or URLs.
+const padDirName = (padId) => String(padId || 'import').replace(/[^A-Za-z0-9_-]/g, '_').slice(0, 100);
+
+/**
+ * @returns {string} "pad", "global" or "off".
+ */
+const getDedupeScope = () => {
+  const scope = settings.ep_docx_html_customizer && settings.ep_docx_html_customizer.dedupe;
+  return DEDUPE_SCOPES.includes(scope) ? scope : 'pad';
+};
+
+/**
+ * Where to store an image: the directory (local) or key prefix (S3), and the object name.
+ *
+ * @param {Buffer} imageBuffer
+ * @param {string} ext - Extension including the dot.
+ * @param {string} prefix - The pad's directory or key prefix.
+ * @returns {{prefix: string, name: string, dedupe: boolean}} `dedupe` is true when the name is
+ *     derived from the content, so an existing object with that name can be reused.
+ */
+const storageName = (imageBuffer, ext, prefix) => {
+  const scope = getDedupeScope();
+  if (scope === 'off') return {prefix, name: `${randomUUID()}${ext}`, dedupe: false};
+  const hash = createHash('sha256').update(imageBuffer).digest('hex');
+  return {prefix: scope === 'global' ? SHARED_DIR : prefix, name: `${hash}${ext}`, dedupe: true};
+};
+
+// Whether an S3 object is known to exist. Without s3:ListBucket, S3 answers HeadObject for a
+// missing key with 403 instead of 404, so any failure counts as "not known" and the image is
+// uploaded again.
+const s3ObjectExists = async (s3Client, bucket, key) => {
+  try {
+    await s3Client.send(new HeadObjectCommand({Bucket: bucket, Key: key}));
+    return true;
+  } catch (err) {
+    if (err.name !== 'NotFound' && !(err.$metadata && err.$metadata.httpStatusCode === 404)) {
+      logger.warn(`[ep_docx_html_customizer] Could not check for existing S3 object ${key}: ${err.message}`);
+    }
+    return false;
+  }
+};
+
+/**
+ * Upload an image to S3 using the ep_images_extended bucket configuration.
+ *
+ * @param {Buffer} imageBuffer - The image data as a buffer
+ * @param {string} mimeType - The MIME type of the image
+ * @param {string} originalPath - The original file path (used for extension)
+ * @param {string} padId - The pad ID for organizing uploads
+ * @returns {Promise<string|null>} - The public URL of the uploaded image, or null if upload failed
+ */
+async function uploadImageToS3(imageBuffer, mimeType, originalPath, padId = 'import') {
+  try {
+    const storageCfg = getStorageConfig();
+    if (!storageCfg || storageCfg.type !== 's3_presigned') {
+      logger.error('[ep_docx_html_customizer] S3 storage not configured - storage.type must be "s3_presigned"');
+      return null;
+    }
+
+    if (!S3Client || !PutObjectCommand || !getSignedUrl) {
+      logger.error('[ep_docx_html_customizer] AWS SDK not available for server-side S3 upload');
+      return null;
+    }
+
+    const {bucket, region, publicURL, expires} = storageCfg;
+    if (!bucket || !region) {
+      logger.error('[ep_docx_html_customizer] Invalid S3 configuration - missing bucket or region');
+      return null;
+    }
+
+    const {prefix, name, dedupe} = storageName(imageBuffer, extensionFor(mimeType, originalPath), padId);
+    const key = `${prefix}/${name}`;
+    const basePublic = publicURL || `https://${bucket}.s3.${region}.amazonaws.com/`;
+    const publicUrl = new url.URL(key, basePublic).toString();
+
+    const s3Client = new S3Client({region});
+    if (dedupe && await s3ObjectExists(s3Client, bucket, key)) {
+      logger.info(`[ep_docx_html_customizer] Reusing stored image: ${publicUrl}`);
+      return publicUrl;
+    }
+
+    // Generate a presigned URL
+    const putCommand = new PutObjectCommand({
+      Bucket: bucket,
+      Key: key,
+      ContentType: mimeType,
+    });
+
+    const signedUrl = await getSignedUrl(s3Client, putCommand, {expiresIn: expires || 600});
+
+    // Upload the image directly to S3 using the presigned URL
+    const fetch = (await import('node-fetch')).default;
+    const uploadResp = await fetch(signedUrl, {
+      method: 'PUT',
+      headers: {'Content-Type': mimeType},
+      body: imageBuffer,
+    });
+
+    if (!uploadResp.ok) {
+      throw new Error(`S3 upload failed with status ${uploadResp.status}`);
+    }
+
+    logger.info(`[ep_docx_html_customizer] Successfully uploaded image to S3: ${publicUrl}`);
+    return publicUrl;
+  } catch (error) {
+    logger.warn(`[ep_docx_html_customizer] Failed to upload image to S3: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * @returns {string} Absolute directory holding locally stored images.
+ */
+const getLocalStorageDir = () => {
+  const cfg = getStorageConfig() || {};
+  return path.resolve(settings.root || process.cwd(), cfg.path || DEFAULT_LOCAL_PATH);
+};
+
+/**
+ * Write an image below the local storage directory.
+ *
+ * @param {Buffer} imageBuffer
+ * @param {string} mimeType
+ * @param {string} originalPath - Used for the extension when the MIME type is unknown.
+ * @param {string} padId
+ * @returns {Promise<string|null>} Site-relative URL served by the /ep_docx_images route.
+ */
+async function storeImageLocally(imageBuffer, mimeType, originalPath, padId = 'import') {
+  try {
+    const {prefix: dirName, name: fileName, dedupe} =
+      storageName(imageBuffer, extensionFor(mimeType, originalPath), padDirName(padId));
+    const dir = path.join(getLocalStorageDir(), dirName);
+    await fsp.mkdir(dir, {recursive: true});
+
+    const cfg = getStorageConfig() || {};
+    const base = (cfg.baseURL || `${LOCAL_ROUTE}/`).replace(/\/?$/, '/');
+    const publicUrl = `${base}${dirName}/${fileName}`;
+    const filePath = path.join(dir, fileName);
+    // The name is the content hash, so an existing file already holds these bytes.
+    if (dedupe && await fsp.access(filePath).then(() => true, () => false)) {
+      logger.info(`[ep_docx_html_customizer] Reusing stored image: ${publicUrl}`);
+      return publicUrl;
+    }
+    // Write under a temporary name and rename, so a file with a final name is always complete.
+    // Two concurrent writers of the same image just replace identical bytes.
+    const tmpPath = path.join(dir, `.${randomUUID()}.tmp`);
+    try {
+      await fsp.writeFile(tmpPath, imageBuffer, {flag: 'wx'});
+      await fsp.rename(tmpPath, filePath);
+    } catch (err) {
+      await fsp.rm(tmpPath, {force: true});
+      throw err;
+    }
+    logger.info(`[ep_docx_html_customizer] Stored image locally: ${publicUrl}`);
+    return publicUrl;
+  } catch (error) {
+    logger.warn(`[ep_docx_html_customizer] Failed to store image locally: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Store an image with the configured backend after checking the ep_images_extended limits.
+ *
+ * @param {Buffer} imageBuffer
+ * @param {string} mimeType
+ * @param {string} originalPath
+ * @param {string} padId
+ * @returns {Promise<string|null>} The URL to reference the image by, or null if it was rejected
+ *     or could not be stored.
+ */
+async function storeImage(imageBuffer, mimeType, originalPath, padId = 'import') {
+  const rejection = checkImageLimits(imageBuffer, mimeType);
+  if (rejection) {
+    logger.warn(`[ep_docx_html_customizer] Image ${originalPath} rejected: ${rejection}`);
+    return null;
+  }
+  switch (getStorageType()) {
+    case 's3_presigned': return uploadImageToS3(imageBuffer, mimeType, originalPath, padId);
+    case 'local': return storeImageLocally(imageBuffer, mimeType, originalPath, padId);
+    default:
+      logger.error('[ep_docx_html_customizer] No image storage configured - storage.type must be "s3_presigned" or "local"');
+      return null;
+  }
+}
+
+/**
+ * Resolve a request for a locally stored image to its file path.
+ *
+ * @param {string} dirName - Pad or shared directory from the URL.
+ * @param {string} fileName - Stored file name from the URL.
+ * @returns {string|null} Absolute path, or null if the names are not ones we generate.
+ */
+const resolveLocalImage = (dirName, fileName) => {
+  if (dirName !== SHARED_DIR && dirName !== padDirName(dirName)) return null;
+  if (!STORED_NAME_RE.test(fileName)) return null;
+  return path.join(getLocalStorageDir(), dirName, fileName);
+};
+
+module.exports = {
+  LOCAL_ROUTE,
+  checkImageLimits,
+  getStorageType,
+  isAllowedImageType,
+  resolveLocalImage,
+  storeImage,
+  storeImageLocally,
+  uploadImageToS3,
+};
@@ -0,0 +1,171 @@
+'use strict';
+
+/**
+ * Import report for ep_docx_html_customizer.
+ *
+ * The import hook records what it did to a document (images stored or skipped, tables, links,
+ * content Etherpad cannot represent) and sends the summary to the importing author's clients,
+ * where static/js/toast.js shows it together with a details view.
+ *
+ * Etherpad does not tell the import hook who is importing. trackImportRequest() runs in front of
+ * Etherpad's import route and keeps the request available to the hook, which resolves it to an
+ * author with Etherpad's own access check.
+ */
+
+const {AsyncLocalStorage} = require('async_hooks');
+const log4js = require('log4js');
+
+const logger = log4js.getLogger('ep_docx_html_customizer');
+
+// Payload type of the CUSTOM collab message; clipboard.js listens for it.
+const REPORT_MESSAGE_TYPE = 'ep_docx_html_customizer_importReport';
+// Keeps the message small for documents with hundreds of problems.
+const MAX_WARNINGS = 50;
+
+// The import request being handled, for the code the import hook calls.
+const importRequests = new AsyncLocalStorage();
+
+// Elements Etherpad's HTML import discards together with their content.
+const UNSUPPORTED_ELEMENTS = [
+  'audio', 'button', 'canvas', 'embed', 'form', 'iframe', 'input', 'math', 'object', 'select',
+  'svg', 'textarea', 'video',
+];
+// Inline formatting that has no Etherpad attribute and is lost on import.
+const UNSUPPORTED_STYLES = ['letter-spacing', 'text-transform'];
+
+/**
+ * Create an empty report.
+ *
+ * @param {string} format - Extension of the imported file (".docx", ".md", …).
+ * @returns {object} {count, warn, drop, isEmpty, toJSON}
+ */
+const createImportReport = (format) => {
+  const counts = {};
+  const dropped = {};
+  const warnings = [];
+  let omittedWarnings = 0;
+
+  return {
+    /**
+     * @param {string} key - e.g. "images", "imagesSkipped", "tables", "links".
+     * @param {number} [n]
+     */
+    count(key, n = 1) {
+      counts[key] = (counts[key] || 0) + n;
+    },
+
+    /**
+     * @param {string} message - Human-readable, e.g. "Image 3: file not found (media/x.png)".
+     */
+    warn(message) {
+      if (warnings.length < MAX_WARNINGS) warnings.push(message);
+      else omittedWarnings++;
+    },
+
+    /**
+     * @param {string} what - Description of the lost content, e.g. "<svg> element".
+     * @param {number} [n]
+     */
+    drop(what, n = 1) {
+      dropped[what] = (dropped[what] || 0) + n;
+    },
+
+    isEmpty() {
+      return !Object.keys(counts).length && !warnings.length && !Object.keys(dropped).length;
+    },
+
+    toJSON() {
+      return {format, counts, warnings, omittedWarnings, dropped};
+    },
+  };
+};
+
+/**
+ * Record the content of the processed document that Etherpad's importer will not keep.
+ *
+ * @param {Document} document
+ * @param {object} report - From createImportReport().
+ */
+const collectDroppedContent = (document, report) => {
+  if (!document.body) return;
+  UNSUPPORTED_ELEMENTS.forEach((tag) => {
+    const n = document.body.getElementsByTagName(tag).length;
+    if (n) report.drop(`<${tag}> element`, n);
+  });
+  document.body.querySelectorAll('[style]').forEach((el) => {
+    UNSUPPORTED_STYLES.forEach((prop) => {
+      if (el.style.getPropertyValue(prop)) report.drop(`${prop} style`);
+    });
+  });
+};
+
+/**
+ * Express middleware for Etherpad's `/p/:pad/import` route.
+ *
+ * @param {object} req
+ * @param {object} res
+ * @param {function} next
+ */
+const trackImportRequest = (req, res, next) => importRequests.run(req, next);
+
+/**
+ * @returns {object|undefined} The Express request of the import being handled, if any.
+ */
+const currentImportRequest = () => importRequests.getStore();
+
+/**
+ * @param {string} padId
+ * @returns {Promise<string|null>} The author running the current import, if it has access to
+ *     the pad.
+ */
+const importingAuthor = async (padId) => {
+  const req = currentImportRequest();
+  if (!req) return null;
+  const securityManager = require('ep_etherpad-lite/node/db/SecurityManager');
+  const cookies = req.cookies || {};
+  const {accessStatus, authorID} = await securityManager.checkAccess(
+      padId, cookies.sessionID, cookies.token, req.session && req.session.user);
+  return accessStatus === 'grant' ? authorID : null;
+};
+
+/**
+ * Send a report to the importing author's clients on the pad. Other users of the pad do not
+ * get it: the warnings name files and content of a document they did not import.
+ *
+ * @param {string} padId
+ * @param {object} report - From createImportReport().
+ */
+const sendImportReport = async (padId, report) => {
+  if (!padId) return;
+  try {
+    const authorId = await importingAuthor(padId);
+    if (!authorId) {
+      logger.info(`[ep_docx_html_customizer] Import report for pad ${padId} not sent: importing author unknown`);
+      return;
+    }
+    const padMessageHandler = require('ep_etherpad-lite/node/handler/PadMessageHandler');
+    const msg = {
+      type: 'COLLABROOM',
+      data: {
+        type: 'CUSTOM',
+        payload: {type: REPORT_MESSAGE_TYPE, padId, report: report.toJSON()},
+      },
+    };
+    // sessioninfos maps socket ids to the pad and author of each connection.
+    const sockets = Object.entries(padMessageHandler.sessioninfos || {})
+        .filter(([, info]) => info && info.padId === padId && info.author === authorId)
+        .map(([socketId]) => socketId);
+    for (const socketId of sockets) await padMessageHandler.handleCustomObjectMessage(msg, socketId);
+  } catch (err) {
+    logger.warn(`[ep_docx_html_customizer] Could not send import report for pad ${padId}: ${err.message}`);
+  }
+};
+
+module.exports = {
+  REPORT_MESSAGE_TYPE,
+  collectDroppedContent,
+  createImportReport,
+  currentImportRequest,
+  sendImportReport,
+  trackImportRequest,
+};
@@ -1,13 +1,14 @@
 'use strict';
 
 /**
- * ep_docx_html_customizer with S3 Integration
- * 
- * This plugin now supports S3 image uploads during both document import and clipboard paste operations.
- * It reuses the existing ep_images_extended S3 infrastructure to avoid code duplication.
- * 
+ * ep_docx_html_customizer
+ *
+ * Normalizes imported office documents and rich clipboard content into Etherpad structures.
+ * Images found during import or paste are stored through image_storage.js, either in the S3
+ * bucket configured for ep_images_extended or on local disk.
+ *
  * Configuration (in settings.json):
- * 
+ *
  * {
  *   "ep_images_extended": {
  *     "storage": {
@@ -19,118 +20,123 @@
  *     },
  *     "fileTypes": ["png", "jpg", "jpeg", "webp", "gif"],
  *     "maxFileSize": 10485760
+ *   },
+ *   "ep_docx_html_customizer": {
+ *     "storage": {"type": "local", "path": "var/ep_docx_html_customizer/images"}
  *   }
  * }
- * 
- * Required environment variables:
- * - AWS_ACCESS_KEY_ID
- * - AWS_SECRET_ACCESS_KEY
- * - AWS_SESSION_TOKEN (if using temporary credentials)
- * 
+ *
+ * S3 storage uses the AWS SDK's normal credential provider chain
+ * (AWS_ACCESS_KEY_ID / AWS_SECRET_ACCESS_KEY / AWS_SESSION_TOKEN, or an instance role).
+ *
  * This plugin will:
- * 1. During DOCX/DOC/ODT import: Upload relative images to S3 (REQUIRED - no fallback)
- * 2. During clipboard paste: Upload remote images to S3 (REQUIRED - no fallback)
- * 3. If S3 is not configured or fails: Images will be skipped/rejected
+ * 1. During import: Store relative images with the configured backend (REQUIRED - no fallback)
+ * 2. During clipboard paste: Store remote and data-URI images the same way (REQUIRED - no fallback)
+ * 3. If no storage is configured or storing fails: Images will be skipped/rejected
  */
 
 const fs = require('fs');
 const fsp = fs.promises;
 const path = require('path');
-const { exec } = require('child_process');
+const http = require('http');
 const os = require('os');
 const log4js = require('log4js');
 const { JSDOM } = require('jsdom');
 const settings = require('ep_etherpad-lite/node/utils/Settings');
-const util = require('util');
-const execPromise = util.promisify(exec);
 const mime = require('mime');
-const { randomUUID } = require('crypto');
-const url = require('url');
-
-// AWS SDK v3 for S3 uploads (optional - only needed for server-side S3 uploads during import)
-let S3Client, PutObjectCommand, getSignedUrl;
-try {
-  ({ S3Client, PutObjectCommand } = require('@aws-sdk/client-s3'));
-  ({ getSignedUrl } = require('@aws-sdk/s3-request-presigner'));
-} catch (e) {
-  // AWS SDK might be optional if s3_presigned storage is not used
-  logger.warn('[ep_docx_html_customizer] AWS SDK not installed; S3 upload will not work.');
-}
+const {marked} = require('marked');
+const {
+  ANCHOR_CLASS_RE, FONT_FAMILY_CLASS_RE, HIGHLIGHT_CLASS_RE, MAX_REMOTE_IMAGES_PER_REQUEST, NESTED_TABLE_STRATEGIES,
+  convertColorsAndSizes, convertFontFamilies, convertHighlights, convertIndentation, convertLists,
+  convertNotes, convertParagraphStyles, createRowStyles, flattenNestedTables, mergesForRow, sanitizeDocument,
+  tableCellStyle, tableColumnWidths, tableMerges,
+} = require('./transform_common');
+const {ConversionError, convertToFile, makeWorkDir, removeWorkDir} = require('./converter');
+const {
+  collectDroppedContent, createImportReport, currentImportRequest, sendImportReport, trackImportRequest,
+} = require('./import_report');
+const {ImageProxyError, downloadImage, openImage, sniffImageType} = require('./image_proxy');
+const imageStorage = require('./image_storage');
+const {getRateLimiter, rateLimitKey} = require('./rate_limit');
 
 const logger = log4js.getLogger('ep_docx_html_customizer');
 
-// Helper for stable random ids
-const rand = () => Math.random().toString(36).slice(2, 8);
+// Plugin-specific options live under "ep_docx_html_customizer" in settings.json.
+const pluginSettings = () => settings.ep_docx_html_customizer || {};
 
 /**
- * Upload an image to S3 using the existing ep_images_extended presign endpoint
- * This function is used during the import process to upload relative images to S3
- * 
- * @param {Buffer} imageBuffer - The image data as a buffer
- * @param {string} mimeType - The MIME type of the image
- * @param {string} originalPath - The original file path (used for extension)
- * @param {string} padId - The pad ID for organizing uploads
- * @returns {Promise<string|null>} - The public URL of the uploaded image, or null if upload failed
+ * Options for the shared transform in transform_common.js. The import hook uses them directly
+ * and the clientVars hook hands the same object to the clipboard paste path.
+ *
+ * @returns {object}
  */
-async function uploadImageToS3(imageBuffer, mimeType, originalPath, padId = 'import') {
-  try {
-    // Check if S3 storage is configured
-    const storageCfg = settings.ep_images_extended && settings.ep_images_extended.storage;
-    if (!storageCfg || storageCfg.type !== 's3_presigned') {
-      logger.error('[ep_docx_html_customizer] S3 storage not configured - ep_images_extended.storage.type must be "s3_presigned"');
-      return null;
-    }
-
-    if (!S3Client || !PutObjectCommand || !getSignedUrl) {
-      logger.error('[ep_docx_html_customizer] AWS SDK not available for server-side S3 upload');
-      return null;
-    }
-
-    const { bucket, region, publicURL, expires } = storageCfg;
-    if (!bucket || !region) {
-      logger.error('[ep_docx_html_customizer] Invalid S3 configuration - missing bucket or region');
-      return null;
-    }
-
-    // Determine file extension and create a unique filename
-    const ext = path.extname(originalPath) || '.png';
-    const safeExt = ext.startsWith('.') ? ext : `.${ext}`;
-    const key = `${padId}/${randomUUID()}${safeExt}`;
-
-    // Create S3 client and generate presigned URL
-    const s3Client = new S3Client({ region });
-    const putCommand = new PutObjectCommand({
-      Bucket: bucket,
-      Key: key,
-      ContentType: mimeType,
-    });
-
-    const signedUrl = await getSignedUrl(s3Client, putCommand, { expiresIn: expires || 600 });
+const getTransformOptions = () => {
+  const cfg = pluginSettings();
+  const options = {
+    orderedLists: cfg.orderedLists === 'native' ? 'native' : 'literal',
+    nestedTables: NESTED_TABLE_STRATEGIES.includes(cfg.nestedTables) ? cfg.nestedTables : 'inline',
+  };
+  // Skin-specific values that must not become colour/size attributes (see isThemeColor and
+  // isHeadingFontSize in transform_common.js). Unset means the Colibris defaults on paste and
+  // none on import (see getImportTransformOptions).
+  if (Array.isArray(cfg.themeColors)) options.themeColors = cfg.themeColors.map(String);
+  if (Number.isFinite(cfg.themeColorTolerance)) options.themeColorTolerance = cfg.themeColorTolerance;
+  if (Array.isArray(cfg.headingFontSizes)) {
+    options.headingFontSizes = cfg.headingFontSizes.map(Number).filter(Number.isFinite);
+  }
+  // Font families offered by the installed font plugin (see convertFontFamilies).
+  if (Array.isArray(cfg.fontFamilies)) options.fontFamilies = cfg.fontFamilies.map(String);
+  if (cfg.fontFamilyAliases && typeof cfg.fontFamilyAliases === 'object') {
+    options.fontFamilyAliases = cfg.fontFamilyAliases;
+  }
+  if (typeof cfg.defaultFontFamily === 'string') options.defaultFontFamily = cfg.defaultFontFamily;
+  // Font sizes (see convertColorsAndSizes).
+  if (Array.isArray(cfg.fontSizes)) options.fontSizes = cfg.fontSizes.map(Number).filter((size) => size > 0);
+  if (cfg.defaultFontSize > 0) options.defaultFontSize = Number(cfg.defaultFontSize);
+  if (cfg.pxPerPt > 0) options.pxPerPt = Number(cfg.pxPerPt);
+  // Indentation (see convertIndentation). A step of 0 turns it off.
+  if (Number.isFinite(cfg.indentStep)) options.indentStep = cfg.indentStep;
+  if (typeof cfg.indentListType === 'string') options.indentListType = cfg.indentListType;
+  // Paragraph style name → block (see convertParagraphStyles).
+  if (cfg.paragraphStyles && typeof cfg.paragraphStyles === 'object') options.paragraphStyles = cfg.paragraphStyles;
+  return options;
+};
 
-    // Upload the image directly to S3 using the presigned URL
-    const fetch = (await import('node-fetch')).default;
-    const uploadResp = await fetch(signedUrl, {
-      method: 'PUT',
-      headers: { 'Content-Type': mimeType },
-      body: imageBuffer,
-    });
+let locales = null;
 
-    if (!uploadResp.ok) {
-      throw new Error(`S3 upload failed with status ${uploadResp.status}`);
+/**
+ * Look up a string in locales/ for the language the importing browser prefers. The same files
+ * are served to the client through Etherpad's html10n.
+ *
+ * @param {string} key
+ * @returns {string}
+ */
+const localize = (key) => {
+  if (!locales) {
+    locales = {};
+    const dir = path.join(__dirname, 'locales');
+    for (const file of fs.readdirSync(dir).filter((f) => f.endsWith('.json'))) {
+      locales[path.basename(file, '.json')] = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
     }
+  }
+  const req = currentImportRequest();
+  const lang = (req && req.acceptsLanguages && req.acceptsLanguages(Object.keys(locales))) || 'en';
+  return (locales[lang] && locales[lang][key]) || locales.en[key];
+};
 
-    // Generate the public URL
-    const basePublic = publicURL || `https://${bucket}.s3.${region}.amazonaws.com/`;
-    const publicUrl = new url.URL(key, basePublic).toString();
-
-    logger.info(`[ep_docx_html_customizer] Successfully uploaded image to S3: ${publicUrl}`);
-    return publicUrl;
+/**
+ * Transform options for imported documents. The skin colours, heading sizes and heading styling
+ * only come along when a browser copies pad text, so imports keep them unless the lists are
+ * configured explicitly: a document's #595959 text or 18pt caption is real formatting.
+ *
+ * @returns {object}
+ */
+const getImportTransformOptions = () => ({
+  themeColors: [], headingFontSizes: [], ...getTransformOptions(), keepHeadingStyles: true,
+});
 
-  } catch (error) {
-    logger.warn(`[ep_docx_html_customizer] Failed to upload image to S3: ${error.message}`);
-    return null;
-  }
-}
+// Helper for stable random ids
+const rand = () => Math.random().toString(36).slice(2, 8);
 
 // encode/decode so JSON can survive as a CSS class token if ever needed
 const enc = (s) => {
@@ -146,9 +152,63 @@ const enc = (s) => {
 // Use the same rare delimiter as ep_tables5 so the client can split cells reliably
 const DELIMITER = '\u241F'; // ␟ Unit Separator – internal column delimiter
 
+// Extensions handled by the import hook unless settings override them with `importExtensions`.
+const DEFAULT_IMPORT_EXTENSIONS = [
+  '.docx', '.doc', '.odt', '.odf', '.rtf', '.wpd', '.pages', '.pdf', '.md', '.markdown', '.html', '.htm',
+];
+// Inputs that are already HTML, or that we render to HTML ourselves, skip LibreOffice.
+const HTML_EXTENSIONS = ['.html', '.htm'];
+const MARKDOWN_EXTENSIONS = ['.md', '.markdown'];
+// Formats LibreOffice only opens in Writer when told which import filter to use.
+const LIBREOFFICE_INFILTERS = {'.pdf': 'writer_pdf_import'};
+
+/**
+ * Lower-cased, dot-prefixed list of file extensions the import hook accepts.
+ *
+ * @returns {string[]}
+ */
+const getImportExtensions = () => {
+  const configured = pluginSettings().importExtensions;
+  const list = Array.isArray(configured) ? configured : DEFAULT_IMPORT_EXTENSIONS;
+  return list
+    .map((ext) => String(ext).trim().toLowerCase())
+    .filter(Boolean)
+    .map((ext) => (ext.startsWith('.') ? ext : `.${ext}`));
+};
+
+/**
+ * Convert an office document to HTML at `destFile` with LibreOffice. The conversion runs on a
+ * copy inside `workDir`, a directory private to this import, so the output and the image files
+ * LibreOffice writes next to it can never be confused with another import's.
+ *
+ * @param {string} srcFile - Uploaded file.
+ * @param {string} ext - Lower-cased original extension (".docx", ".rtf", …).
+ * @param {string} destFile - Where Etherpad expects the HTML.
+ * @param {string} workDir - Empty directory from makeWorkDir().
+ * @returns {Promise<boolean>} false if LibreOffice is not configured.
+ */
+const convertToHtmlWithLibreOffice = async (srcFile, ext, destFile, workDir) => {
+  logger.info(`[ep_docx_html_customizer] Attempting to convert ${srcFile} to HTML using LibreOffice.`);
+  if (!settings.soffice) {
+    logger.warn('[ep_docx_html_customizer] soffice path not configured in settings.json. Cannot convert document.');
+    return false;
+  }
+
+  // A fixed name with the real extension: Etherpad renames uploads with unknown extensions
+  // (e.g. .wpd, .pages) to .txt, which would make LibreOffice read them as plain text.
+  const conversionSrc = path.join(workDir, `document${ext}`);
+  await fsp.copyFile(srcFile, conversionSrc);
+  const htmlFile = await convertToFile(conversionSrc, workDir, 'html', {infilter: LIBREOFFICE_INFILTERS[ext]});
+  logger.info(`[ep_docx_html_customizer] LibreOffice conversion successful. HTML output at: ${htmlFile}`);
+
+  await fsp.copyFile(htmlFile, destFile);
+  return true;
+};
+
 /**
  * Import hook
- * Handles the import of DOCX, DOC, ODT, and ODF files, customizing their HTML output.
+ * Handles the import of office documents (DOCX, DOC, ODT, RTF, …), Markdown and raw HTML,
+ * customizing their HTML output. The accepted extensions come from getImportExtensions().
  *
  * @param {string} hookName Hook name ("import").
  * @param {object} context Object containing the arguments passed to hook {srcFile, fileEnding, destFile, padId, ImportError}.
@@ -160,78 +220,76 @@ exports.import = async (hookName, context) => {
   const { srcFile, fileEnding, destFile } = context;
   logger.info(`[ep_docx_html_customizer] Import hook called for file: ${srcFile}, type: ${fileEnding}`);
 
-  const convertibleTypes = ['.docx', '.doc', '.odt', '.odf'];
+  const ext = (fileEnding || '').toLowerCase();
   const ZWSP = '\u200B';
 
-  if (!convertibleTypes.includes(fileEnding.toLowerCase())) {
+  if (!getImportExtensions().includes(ext)) {
     logger.info(`[ep_docx_html_customizer] File type ${fileEnding} is not supported. Passing to core or other plugins.`);
     return false; // Let Etherpad core or other plugins handle it
   }
 
+  const report = createImportReport(ext);
+  // Directory relative image references may be read from: the private conversion directory.
+  // Uploaded HTML and Markdown have none, so they cannot reference files on the server.
+  let workDir = null;
   try {
-    // Phase 1: LibreOffice Conversion
-    logger.info(`[ep_docx_html_customizer] Attempting to convert ${srcFile} to HTML using LibreOffice.`);
-    if (!settings.soffice) {
-      logger.warn('[ep_docx_html_customizer] soffice path not configured in settings.json. Cannot convert document.');
-      return false;
-    }
-
-    const converterPath = settings.soffice;
-    const outDir = path.dirname(destFile);
-    const tempConvertedBaseName = `${path.basename(srcFile, fileEnding)}.html`;
-    let actualConvertedTmpFile = path.join(outDir, tempConvertedBaseName);
-
-    const conversionCommand = `"${converterPath}" --headless --invisible --nologo --nolockcheck --writer --convert-to html "${srcFile}" --outdir "${outDir}"`;
-    logger.debug(`[ep_docx_html_customizer] Executing soffice command: ${conversionCommand}`);
-
-    await execPromise(conversionCommand);
-    logger.info(`[ep_docx_html_customizer] LibreOffice conversion successful. HTML output at: ${actualConvertedTmpFile}`);
-
-    // ─── Fallback lookup ────────────────────────────────────────────────────────
-    if (!fs.existsSync(actualConvertedTmpFile)) {
-      /*
-       * Some temporary upload names no longer end with the real extension
-       * (e.g. `/tmp/abcd.odt.5`). LibreOffice will therefore drop the extra
-       * suffix and produce `/tmp/abcd.html`, not `/tmp/abcd.5.html`.
-       * If our first guess is missing, scan the outDir for any fresh *.html
-       * file produced by this conversion run and pick the most recent one.
-       */
+    // Phase 1: Produce HTML at destFile
+    if (HTML_EXTENSIONS.includes(ext)) {
+      logger.info(`[ep_docx_html_customizer] ${srcFile} is already HTML; skipping LibreOffice.`);
+      await fsp.copyFile(srcFile, destFile);
+    } else if (MARKDOWN_EXTENSIONS.includes(ext)) {
+      logger.info(`[ep_docx_html_customizer] Rendering Markdown ${srcFile} to HTML.`);
+      const markdown = await fsp.readFile(srcFile, 'utf8');
+      await fsp.writeFile(destFile, `<!DOCTYPE html><html><body>${marked.parse(markdown)}</body></html>`);
+    } else {
+      workDir = await makeWorkDir();
       try {
-        const htmlFiles = fs.readdirSync(outDir)
-          .filter(f => f.toLowerCase().endsWith('.html'))
-          .map(f => path.join(outDir, f))
-          // sort newest first by mtime
-          .sort((a, b) => fs.statSync(b).mtimeMs - fs.statSync(a).mtimeMs);
-
-        if (htmlFiles.length > 0) {
-          const candidate = htmlFiles[0];
-          logger.warn(`[ep_docx_html_customizer] Expected converted file not found; using fallback candidate ${candidate}`);
-          actualConvertedTmpFile = candidate;
-        }
-      } catch (e) {
-        logger.error('[ep_docx_html_customizer] Error while searching for fallback HTML file:', e);
-      }
-
-      if (!fs.existsSync(actualConvertedTmpFile)) {
-        logger.error(`[ep_docx_html_customizer] Conversion failed: could not locate any converted HTML file (looked for ${actualConvertedTmpFile}).`);
+        if (!(await convertToHtmlWithLibreOffice(srcFile, ext, destFile, workDir))) return false;
+      } catch (err) {
+        if (!(err instanceof ConversionError)) throw err;
+        logger.error(`[ep_docx_html_customizer] LibreOffice could not convert ${srcFile} (${err.code}): ${err.message}` +
+          (err.output ? `\n${err.output}` : ''));
+        // Etherpad reports ImportError statuses to the importing user; "convertFailed" has a
+        // localized message in the import dialog.
+        if (context.ImportError) throw new context.ImportError('convertFailed', err.message);
         return false;
       }
     }
 
-    if (actualConvertedTmpFile !== destFile) {
-      logger.debug(`[ep_docx_html_customizer] Renaming ${actualConvertedTmpFile} to ${destFile}`);
-      await fsp.rename(actualConvertedTmpFile, destFile);
-    }
-
     logger.info(`[ep_docx_html_customizer] Processing converted HTML at ${destFile} for images.`);
     let htmlContent = await fsp.readFile(destFile, 'utf8');
     const dom = new JSDOM(htmlContent);
     const document = dom.window.document;
-    const images = document.querySelectorAll('img');
     let modified = false;
 
+    // Uploaded HTML and Markdown (which may embed raw HTML) can carry scripts; LibreOffice output
+    // cannot.
+    if (!workDir) {
+      const unsafe = sanitizeDocument(document);
+      if (unsafe) {
+        modified = true;
+        logger.info(`[ep_docx_html_customizer] Removed ${unsafe} script element(s) or attribute(s) from ${srcFile}.`);
+      }
+    }
+    const images = document.querySelectorAll('img');
+
     logger.debug(`[ep_docx_html_customizer] Found ${images.length} image(s) in converted HTML: ${destFile}`);
 
+    /* ─────────────────────────────── Nested tables ─────────────────────────────── */
+    const nestedTables = flattenNestedTables(document, getTransformOptions().nestedTables);
+    if (nestedTables) {
+      modified = true;
+      report.count('nestedTables', nestedTables);
+      logger.debug(`[ep_docx_html_customizer] Flattened ${nestedTables} nested table(s).`);
+    }
+
+    /* ─────────────────────────────── Paragraph styles ─────────────────────────────── */
+    const styledParagraphs = convertParagraphStyles(document, getTransformOptions());
+    if (styledParagraphs) {
+      modified = true;
+      logger.debug(`[ep_docx_html_customizer] Mapped ${styledParagraphs} styled paragraph(s) to headings, quotes or code.`);
+    }
+
     /* ─────────────────────────────── Headings processing ─────────────────────────────── */
     logger.info(`[ep_docx_html_customizer] Processing converted HTML for headings.`);
     
@@ -258,6 +316,13 @@ exports.import = async (hookName, context) => {
       logger.debug(`[ep_docx_html_customizer] Added line breaks before and after ${heading.tagName.toLowerCase()} element ${idx + 1}.`);
     });
 
+    /* ───────────────────────────── Indentation ───────────────────────────── */
+    const indentedLines = convertIndentation(document, getTransformOptions());
+    if (indentedLines) {
+      modified = true;
+      logger.debug(`[ep_docx_html_customizer] Mapped ${indentedLines} indented paragraph(s) to indent lines.`);
+    }
+
     /* ───────────────────────────── Alignment processing ───────────────────────────── */
     logger.info(`[ep_docx_html_customizer] Processing converted HTML for paragraph alignment.`);
 
@@ -321,71 +386,13 @@ exports.import = async (hookName, context) => {
       }
     });
 
-    /* ─────────────────────────── Ordered list flattening ─────────────────────────── */
-    logger.info(`[ep_docx_html_customizer] Converting ordered lists (<ol>) to plain numbered paragraphs.`);
-
-    const processOrderedList = (olNode, depth = 0) => {
-      const startAttr = parseInt(olNode.getAttribute('start') || '1', 10);
-      let counter = isNaN(startAttr) ? 1 : startAttr;
-
-      // Collect new paragraph nodes
-      const frag = document.createDocumentFragment();
-
-      Array.from(olNode.children).forEach((child) => {
-        if (child.tagName && child.tagName.toLowerCase() === 'li') {
-          // Build prefix (e.g., "1. ")
-          const prefixSpan = document.createElement('span');
-          prefixSpan.textContent = `${counter}. `;
-
-          // Create wrapper paragraph <div>
-          const p = document.createElement('div');
-          // Preserve nested content inside <li>
-          const liClone = child.cloneNode(true);
-
-          // Remove any nested ordered lists before cloning (they will be handled recursively)
-          const nestedOLs = liClone.querySelectorAll('ol');
-          nestedOLs.forEach((nested) => {
-            const replacement = processOrderedList(nested, depth + 1);
-            nested.parentNode.replaceChild(replacement, nested);
-          });
-
-          // Move all children from liClone into wrapper, but unwrap a single wrapping <p>
-          if (liClone.childNodes.length === 1 && liClone.firstChild.tagName && liClone.firstChild.tagName.toLowerCase() === 'p') {
-            const innerP = liClone.firstChild;
-            while (innerP.firstChild) {
-              p.appendChild(innerP.firstChild);
-            }
-          } else {
-            while (liClone.firstChild) {
-              p.appendChild(liClone.firstChild);
-            }
-          }
-
-          // Prepend number prefix
-          p.insertBefore(prefixSpan, p.firstChild);
-
-          // Optionally indent child paragraphs depending on depth
-          if (depth > 0) p.style.marginLeft = `${depth * 1.5}em`;
-
-          frag.appendChild(p);
-
-          // No explicit <br>; <div> itself creates a new line in Etherpad
-
-          counter += 1;
-        }
-      });
+    /* ─────────────────────────────── List flattening ─────────────────────────────── */
+    logger.info(`[ep_docx_html_customizer] Converting lists (<ul>/<ol>) to Etherpad list lines.`);
 
+    if (convertLists(document, getTransformOptions())) {
       modified = true;
-      return frag;
-    };
-
-    const allOrderedLists = document.querySelectorAll('ol');
-    logger.debug(`[ep_docx_html_customizer] Found ${allOrderedLists.length} ordered list(s) to flatten.`);
-
-    Array.from(allOrderedLists).forEach((ol) => {
-      const replacementFrag = processOrderedList(ol);
-      ol.parentNode.replaceChild(replacementFrag, ol);
-    });
+      logger.debug(`[ep_docx_html_customizer] Flattened lists into one line per item.`);
+    }
 
     /* ─────────────────────────────── Image processing ─────────────────────────────── */
     for (const [index, img] of images.entries()) {
@@ -394,35 +401,49 @@ exports.import = async (hookName, context) => {
 
       if (!imgSrc) {
         logger.debug(`[ep_docx_html_customizer] Converted HTML - Image ${index + 1} has no src, skipping.`);
+        report.count('imagesSkipped');
+        report.warn(`Image ${index + 1}: no image source`);
         continue;
       }
 
       if (imgSrc && !imgSrc.startsWith('http') && !imgSrc.startsWith('data:') && !imgSrc.startsWith('/')) {
-        const imagePath = path.resolve(path.dirname(destFile), imgSrc);
+        const imagePath = workDir ? path.resolve(workDir, imgSrc) : null;
+        if (!imagePath || !imagePath.startsWith(workDir + path.sep)) {
+          logger.warn(`[ep_docx_html_customizer] Converted HTML - Image ${index + 1} relative path ${imgSrc} is outside the conversion directory. Skipping image.`);
+          report.count('imagesSkipped');
+          report.warn(`Image ${index + 1}: path outside the document (${imgSrc})`);
+          continue;
+        }
         logger.debug(`[ep_docx_html_customizer] Converted HTML - Image ${index + 1} is relative. Attempting to read: ${imgSrc} at ${imagePath}`);
         try {
           if (fs.existsSync(imagePath)) {
             const imageBuffer = await fsp.readFile(imagePath);
             const mimeType = mime.getType(imagePath) || 'application/octet-stream';
             
-            // Try to upload to S3 - error out if it fails
+            // Store with the configured backend - error out if it fails
             const padId = context.padId || 'import';
-            const s3Url = await uploadImageToS3(imageBuffer, mimeType, imagePath, padId);
+            const storedUrl = await imageStorage.storeImage(imageBuffer, mimeType, imagePath, padId);
             
-            if (s3Url) {
-              imgSrc = s3Url;
-              logger.debug(`[ep_docx_html_customizer] Converted HTML - Image ${index + 1} successfully uploaded to S3: ${s3Url}`);
+            if (storedUrl) {
+              imgSrc = storedUrl;
+              logger.debug(`[ep_docx_html_customizer] Converted HTML - Image ${index + 1} successfully stored: ${storedUrl}`);
             } else {
-              // Error out if S3 upload fails - no data URI fallback
-              logger.error(`[ep_docx_html_customizer] Converted HTML - Image ${index + 1} S3 upload failed for ${imagePath}. Skipping image.`);
+              // Error out if storage fails - no data URI fallback
+              logger.error(`[ep_docx_html_customizer] Converted HTML - Image ${index + 1} storage failed for ${imagePath}. Skipping image.`);
+              report.count('imagesSkipped');
+              report.warn(`Image ${index + 1}: could not be stored (${imgSrc})`);
               continue;
             }
           } else {
             logger.warn(`[ep_docx_html_customizer] Converted HTML - Image ${index + 1} relative path not found: ${imagePath}.`);
+            report.count('imagesSkipped');
+            report.warn(`Image ${index + 1}: relative path not found (${imgSrc})`);
             continue;
           }
         } catch (e) {
           logger.error(`[ep_docx_html_customizer] Converted HTML - Image ${index + 1} error reading/converting ${imagePath}: ${e.message}`);
+          report.count('imagesSkipped');
+          report.warn(`Image ${index + 1}: could not be read (${imgSrc})`);
           continue;
         }
       } else {
@@ -461,9 +482,18 @@ exports.import = async (hookName, context) => {
 
       img.parentNode.replaceChild(fragment, img);
       modified = true;
+      report.count('images');
       logger.debug(`[ep_docx_html_customizer] Converted HTML - Image ${index + 1} replaced with ZWSP-span-ZWSP structure.`);
     }
 
+    /* ─────────────────────────── Footnotes & endnotes ─────────────────────────── */
+    const noteCount = convertNotes(document, {notesHeading: localize('ep_docx_html_customizer.notes')});
+    if (noteCount) {
+      modified = true;
+      report.count('notes', noteCount);
+      logger.debug(`[ep_docx_html_customizer] Moved ${noteCount} footnote(s)/endnote(s) into a Notes section.`);
+    }
+
     /* ───────────────────────────────── Hyperlink processing ───────────────────────────────── */
     logger.info(`[ep_docx_html_customizer] Processing converted HTML at ${destFile} for hyperlinks.`);
     const anchors = document.querySelectorAll('a[href]');
@@ -491,131 +521,30 @@ exports.import = async (hookName, context) => {
 
       a.parentNode.replaceChild(frag, a);
       modified = true;
+      report.count('links');
       logger.debug(`[ep_docx_html_customizer] Replaced <a> tag ${idx + 1} with hyperlink span.`);
     });
 
-    /* ────────────────────────── Font color & size processing ────────────────────────── */
-    logger.info(`[ep_docx_html_customizer] Processing converted HTML at ${destFile} for font colors and sizes.`);
-    
-    // Helper to parse CSS color values to RGB
-    const parseColorToRgb = (colorStr) => {
-      if (!colorStr) return null;
-      const str = colorStr.toLowerCase().trim();
-      
-      // Handle named colors
-      const namedColors = {
-        black: [0, 0, 0], white: [255, 255, 255], red: [255, 0, 0],
-        green: [0, 128, 0], blue: [0, 0, 255], yellow: [255, 255, 0],
-        orange: [255, 165, 0], purple: [128, 0, 128], gray: [128, 128, 128],
-        grey: [128, 128, 128], lime: [0, 255, 0], cyan: [0, 255, 255],
-        magenta: [255, 0, 255], maroon: [128, 0, 0], navy: [0, 0, 128]
-      };
-      if (namedColors[str]) return namedColors[str];
-      
-      // Handle hex colors
-      let hexMatch = str.match(/^#?([0-9a-f]{6}|[0-9a-f]{3})$/);
-      if (hexMatch) {
-        let hex = hexMatch[1];
-        if (hex.length === 3) hex = hex[0]+hex[0]+hex[1]+hex[1]+hex[2]+hex[2];
-        return [
-          parseInt(hex.slice(0, 2), 16),
-          parseInt(hex.slice(2, 4), 16),
-          parseInt(hex.slice(4, 6), 16)
-        ];
-      }
-      
-      // Handle rgb() colors
-      const rgbMatch = str.match(/rgb\s*\(\s*(\d+)\s*,\s*(\d+)\s*,\s*(\d+)\s*\)/);
-      if (rgbMatch) {
-        return [parseInt(rgbMatch[1]), parseInt(rgbMatch[2]), parseInt(rgbMatch[3])];
-      }
-      
-      return null;
-    };
-
-    const rgbToHexColor = (rgb) => {
-      if (!rgb) return null;
-      const parts = rgb.map((value) => Math.max(0, Math.min(255, Number(value) || 0)));
-      return `#${parts.map((value) => value.toString(16).padStart(2, '0')).join('')}`;
-    };
-
-    const parsePx = (val) => {
-      if (!val) return null;
-      const m = /([0-9.]+)(px|pt)?/i.exec(val);
-      if (!m) return null;
-      const num = parseFloat(m[1]);
-      if (isNaN(num)) return null;
-      if (m[2] && m[2].toLowerCase() === 'pt') return Math.round(num * 1.333); // rough pt→px
-      return Math.round(num);
-    };
-
-    const allStyledNodes = Array.from(document.querySelectorAll('[style*="color"], font[color], [style*="font-size"]'));
-    logger.debug(`[ep_docx_html_customizer] Found ${allStyledNodes.length} nodes with inline color/size.`);
-
-    allStyledNodes.forEach((el, idx) => {
-      // Get existing classes to preserve them
-      const existingClasses = (el.className || '').split(/\s+/).filter(cls => cls.trim());
-      const newClasses = [...existingClasses];
-      let modified = false;
-
-      // Process color
-      const colorAttr = el.getAttribute('color') || el.style.color || '';
-      if (colorAttr) {
-        // Remove any existing color: classes
-        const filteredClasses = newClasses.filter(cls => !cls.startsWith('color:'));
-        const rgb = parseColorToRgb(colorAttr);
-        const nativeColor = rgbToHexColor(rgb);
-        
-        if (nativeColor) {
-          filteredClasses.push(`color:${nativeColor}`);
-          newClasses.length = 0;
-          newClasses.push(...filteredClasses);
-          modified = true;
-          logger.debug(`[ep_docx_html_customizer] Node ${idx + 1}: preserved color "${colorAttr}" as "${nativeColor}"`);
-        }
-      }
-
-      // Process font size
-      const sizeStyle = el.style.fontSize || '';
-      if (sizeStyle) {
-        // Remove any existing font-size: classes
-        const filteredClasses = newClasses.filter(cls => !cls.startsWith('font-size:'));
-        const px = parsePx(sizeStyle);
-        
-        if (px) {
-          // Map to nearest from font size palette
-          const sizePalette = [8,9,10,11,12,13,14,15,16,17,18,19,20,22,24,26,28,30,35,40,45,50,60];
-          let best = sizePalette[0];
-          let bestDiff = Math.abs(px - best);
-          for (const s of sizePalette) {
-            const diff = Math.abs(px - s);
-            if (diff < bestDiff) { best = s; bestDiff = diff; }
-          }
-          
-          filteredClasses.push(`font-size:${best}`);
-          newClasses.length = 0;
-          newClasses.push(...filteredClasses);
-          modified = true;
-          logger.debug(`[ep_docx_html_customizer] Node ${idx + 1}: mapped font-size "${sizeStyle}" (${px}px) to "${best}"`);
-        }
-      }
+    /* ─────────────────────────────── Highlights ─────────────────────────────── */
+    const highlightCount = convertHighlights(document);
+    if (highlightCount) {
+      modified = true;
+      logger.debug(`[ep_docx_html_customizer] Mapped ${highlightCount} highlighted node(s) to highlight classes.`);
+    }
 
-      if (modified) {
-        // Update the element's classes directly, preserving other classes like hyperlink, image-id, etc.
-        el.className = newClasses.join(' ');
-        
-        // Remove the inline styles that we've converted to classes
-        if (colorAttr && el.style.color) el.style.removeProperty('color');
-        if (sizeStyle && el.style.fontSize) el.style.removeProperty('font-size');
-        if (el.hasAttribute('color')) el.removeAttribute('color');
-        
-        logger.debug(`[ep_docx_html_customizer] Node ${idx + 1}: updated classes to "${el.className}"`);
-      }
-    });
+    /* ─────────────────────────────── Font families ─────────────────────────────── */
+    const fontFamilyCount = convertFontFamilies(document, getTransformOptions());
+    if (fontFamilyCount) {
+      modified = true;
+      logger.debug(`[ep_docx_html_customizer] Mapped ${fontFamilyCount} node(s) to font-family classes.`);
+    }
 
-    if (allStyledNodes.length > 0) {
+    /* ────────────────────────── Font color & size processing ────────────────────────── */
+    // Same mapping as the clipboard path (palette, default size and units from the settings).
+    const styledCount = convertColorsAndSizes(document, getImportTransformOptions());
+    if (styledCount) {
       modified = true;
-      logger.info(`[ep_docx_html_customizer] Processed ${allStyledNodes.length} styled nodes for color/size.`);
+      logger.debug(`[ep_docx_html_customizer] Mapped ${styledCount} node(s) to color/font-size classes.`);
     }
 
     // Phase 3: Table Processing (mimicking ep_tables5/tableImport.js)
@@ -657,16 +586,23 @@ exports.import = async (hookName, context) => {
 
         // Track vertical merges that must propagate blank cells downward
         const pendingRowspan = Array(numCols).fill(0);
+        const pendingRowspanStyle = Array(numCols).fill(null);
+        const columnWidths = tableColumnWidths(tableNode, Array.from(rows), numCols);
+        // Merged regions; the covered positions below still get blank cells so every line has
+        // numCols cells, and the merge metadata tells the renderer to span them.
+        const merges = tableMerges(Array.from(rows), numCols);
 
         rows.forEach((rowNode, rowIndex) => {
           const rawCells = Array.from(rowNode.querySelectorAll('td, th'));
           let rawPtr = 0;
           const cellContents = new Array(numCols);
+          const rowStyles = createRowStyles();
 
           for (let col = 0; col < numCols; col++) {
             // 1) Handle continuation of a rowspan merge
             if (pendingRowspan[col] > 0) {
               pendingRowspan[col]--;
+              if (pendingRowspanStyle[col]) rowStyles.add(col, 1, pendingRowspanStyle[col]);
               cellContents[col] = ' <span>&nbsp;</span>';
               continue;
             }
@@ -750,15 +686,23 @@ exports.import = async (hookName, context) => {
             // Place main cell content
             cellContents[col] = cellHTML;
 
+            // Shading and borders cover every column the cell spans
+            const cellStyle = tableCellStyle(cell, tableNode);
+            rowStyles.add(col, Math.min(colspan, numCols - col), cellStyle);
+
             // Register vertical merge
             if (rowspan > 1) {
               pendingRowspan[col] = rowspan - 1;
+              pendingRowspanStyle[col] = cellStyle;
             }
 
             // Handle colspan by filling following columns with blanks and also tracking rowspan
             for (let extra = 1; extra < colspan && col + extra < numCols; extra++) {
               cellContents[col + extra] = ' <span>&nbsp;</span>';
-              if (rowspan > 1) pendingRowspan[col + extra] = rowspan - 1;
+              if (rowspan > 1) {
+                pendingRowspan[col + extra] = rowspan - 1;
+                pendingRowspanStyle[col + extra] = cellStyle;
+              }
             }
 
             // Skip over columns we just filled via colspan
@@ -771,6 +715,10 @@ exports.import = async (hookName, context) => {
             row: rowIndex,
             cols: numCols,
           };
+          if (columnWidths) metadata.columnWidths = columnWidths;
+          rowStyles.applyTo(metadata);
+          const rowMerges = mergesForRow(merges, rowIndex);
+          if (rowMerges.length) metadata.merges = rowMerges;
           const attributeString = JSON.stringify(metadata);
           const encodedJson = enc(attributeString);
 
@@ -793,6 +741,7 @@ exports.import = async (hookName, context) => {
           tableNode.parentNode.replaceChild(fragment, tableNode);
           modified = true;
           tableCount++;
+          report.count('tables');
           logger.debug(`[ep_docx_html_customizer] Table ${tableIndex + 1} replaced with ${tableLines.length} div elements.`);
         }
       });
@@ -801,6 +750,8 @@ exports.import = async (hookName, context) => {
       }
     }
 
+    collectDroppedContent(document, report);
+
     if (modified) {
       logger.info(`[ep_docx_html_customizer] Converted HTML (${destFile}) was modified. Writing changes.`);
       await fsp.writeFile(destFile, dom.serialize());
@@ -808,37 +759,104 @@ exports.import = async (hookName, context) => {
       logger.info(`[ep_docx_html_customizer] Converted HTML (${destFile}) was not modified.`);
     }
 
+    await sendImportReport(context.padId, report);
     return true; // Signal that the import was handled
 
   } catch (err) {
+    if (context.ImportError && err instanceof context.ImportError) throw err;
     logger.error(`[ep_docx_html_customizer] Error during document processing for ${srcFile}:`, err);
     return false; // Signal that the import failed or was not fully handled
+  } finally {
+    if (workDir) await removeWorkDir(workDir);
   }
 };
 
+/**
+ * collectContentPre hook (server side) – keeps the `anchor` link targets created for footnotes,
+ * the `highlight` colours and the `font-family` attributes when Etherpad imports the converted
+ * HTML. The client-side counterpart is in clipboard.js.
+ */
+exports.collectContentPre = (hookName, {cc, state, cls}) => {
+  if (!cls) return;
+  const anchor = ANCHOR_CLASS_RE.exec(cls);
+  if (anchor) cc.doAttrib(state, `anchor::${anchor[1]}`);
+  const highlight = HIGHLIGHT_CLASS_RE.exec(cls);
+  if (highlight) cc.doAttrib(state, `highlight::${highlight[1].toLowerCase()}`);
+  const fontFamily = FONT_FAMILY_CLASS_RE.exec(cls);
+  if (fontFamily) cc.doAttrib(state, `font-family::${fontFamily[1]}`);
+};
+
+/**
+ * clientVars hook – exposes the transform options and the image storage backend to the
+ * clipboard paste handler.
+ */
+exports.clientVars = (hookName, context) => ({
+  ep_docx_html_customizer: {...getTransformOptions(), imageStorage: imageStorage.getStorageType()},
+});
+
 // ============================================================================
 // expressCreateServer – install same-origin image proxy to bypass CORS
 // ============================================================================
 
-let _fetchImpl; // lazy-loaded fetch replacement when global fetch is absent
-const _getFetch = () => {
-  if (typeof global.fetch === 'function') return global.fetch;
-  if (!_fetchImpl) {
-    try {
-      // Dynamically import node-fetch (v3 is ESM-only)
-      _fetchImpl = (...args) => import('node-fetch').then(m => (m.default || m)(...args));
-    } catch (e) {
-      logger.warn('[ep_docx_html_customizer] node-fetch is not available and global fetch is missing.');
-    }
+// Accept either a valid Express session ("express_sid") *or* the normal
+// Etherpad cookies that are present when a pad is open in the browser
+// ("sessionID" from the HTTP API login flow or the author "token").
+// Some browsers block third-party cookies and therefore strip the
+// HttpOnly "express_sid" cookie when Etherpad is embedded in an iframe.
+// Falling back to the non-HttpOnly Etherpad cookies prevents spurious
+// 401 errors while still ensuring that only authenticated pad users can
+// use the proxy and the upload endpoint.
+const _isAuthenticatedRequest = (req) => {
+  const hasExpressSession = req.session && (req.session.user || req.session.authorId);
+  const hasPadCookie = req.cookies && (req.cookies.sessionID || req.cookies.token);
+  return !!(hasExpressSession || hasPadCookie);
+};
+
+// Whether the request may write to `padId`: the pad exists and Etherpad's own access check
+// (sessions, pad passwords, authorization hooks) grants the requesting author access to it.
+const _hasPadAccess = async (req, padId) => {
+  try {
+    const padManager = require('ep_etherpad-lite/node/db/PadManager');
+    const securityManager = require('ep_etherpad-lite/node/db/SecurityManager');
+    if (!padManager.isValidPadId(padId) || !(await padManager.doesPadExist(padId))) return false;
+    const cookies = req.cookies || {};
+    const {accessStatus} = await securityManager.checkAccess(
+        padId, cookies.sessionID, cookies.token, req.session && req.session.user);
+    return accessStatus === 'grant';
+  } catch (err) {
+    logger.warn(`[ep_docx_html_customizer] Access check for pad ${padId} failed: ${err.message}`);
+    return false;
   }
-  return _fetchImpl;
 };
 
-/**
- * expressCreateServer hook – adds /ep_docx_image_proxy?url=…
- * This endpoint streams remote images back to the browser with permissive
- * CORS headers so that client-side code can convert them into data URIs.
- */
+// Read a request body into a Buffer, giving up once it exceeds `limit` bytes. The rest of an
+// oversized body is read and discarded rather than the socket destroyed, so the caller's 413
+// still reaches the client; send it with `Connection: close`.
+const _readBody = (req, limit) => new Promise((resolve, reject) => {
+  const chunks = [];
+  let size = 0;
+  let settled = false;
+  const settle = (fn, value) => {
+    if (settled) return;
+    settled = true;
+    fn(value);
+  };
+  const onData = (chunk) => {
+    size += chunk.length;
+    if (size > limit) {
+      req.removeListener('data', onData);
+      chunks.length = 0;
+      settle(reject, Object.assign(new Error('Payload too large'), {status: 413}));
+      req.resume();
+      return;
+    }
+    chunks.push(chunk);
+  };
+  req.on('data', onData);
+  req.on('end', () => settle(resolve, Buffer.concat(chunks)));
+  req.on('error', (err) => settle(reject, err));
+});
+
 // Add client-side assets for toast notifications
 exports.eejsBlock_styles = (hookName, args, cb) => {
   args.content += '<link href="../static/plugins/ep_docx_html_customizer/static/css/toast.css" rel="stylesheet">';
@@ -850,116 +868,219 @@ exports.eejsBlock_body = (hookName, args, cb) => {
   return cb();
 };
 
+/**
+ * expressConfigure hook – runs before Etherpad registers its routes, so the import report can
+ * find out who is importing (see trackImportRequest in import_report.js).
+ */
+exports.expressConfigure = (hookName, {app}) => {
+  app.use('/p/:pad/import', trackImportRequest);
+};
+
+/**
+ * expressCreateServer hook – adds /ep_docx_image_proxy?url=…
+ * This endpoint streams remote images back to same-origin client code so that
+ * it can convert them into data URIs. Only images of the allowed types pass.
+ * POST /ep_docx_image_import does the same for a batch of URLs but stores the
+ * images itself and answers with their final URLs.
+ */
 exports.expressCreateServer = (hookName, {app}) => {
-  logger.info('[ep_docx_html_customizer] expressCreateServer hook: registering /ep_docx_image_proxy route');
-  const FETCH_TIMEOUT_MS = 10000;
-  const RATE_LIMIT_WINDOW_MS = 60 * 1000;          // 1 minute sliding window
-  const RATE_LIMIT_MAX_REQUESTS = 30;               // max requests per IP within the window
+  logger.info('[ep_docx_html_customizer] expressCreateServer hook: registering image proxy, upload and storage routes');
   const MAX_CONTENT_LENGTH = 10 * 1024 * 1024;      // 10 MB hard size limit
-  // Simple in-memory store {ip: [timestamp,…]}. Good enough for single-node deployments.
-  const _rateLimitStore = new Map();
-
-  // Helper to test whether a host looks like a private / loopback address we should refuse.
-  const _isForbiddenHost = (host) => {
-    if (!host) return true;
-    const lc = host.toLowerCase();
-    // block localhost & obvious loopback labels
-    if (lc === 'localhost' || lc === '::1') return true;
-    // IPv4 private / link-local ranges & loopback
-    return /^(127\.|10\.|0\.|169\.254\.|192\.168\.|172\.(1[6-9]|2[0-9]|3[0-1])\.)/.test(lc);
-  };
+  const IMPORT_CONCURRENCY = 4;                     // remote images fetched at once per request
 
-  app.get('/ep_docx_image_proxy', async (req, res) => {
-    // Accept either a valid Express session ("express_sid") *or* the normal
-    // Etherpad cookies that are present when a pad is open in the browser
-    // ("sessionID" from the HTTP API login flow or the author "token").
-    // Some browsers block third-party cookies and therefore strip the
-    // HttpOnly "express_sid" cookie when Etherpad is embedded in an iframe.
-    // Falling back to the non-HttpOnly Etherpad cookies prevents spurious
-    // 401 errors while still ensuring that only authenticated pad users can
-    // use the proxy.
-
-    const hasExpressSession = req.session && (req.session.user || req.session.authorId);
-    const hasPadCookie = req.cookies && (req.cookies.sessionID || req.cookies.token);
-
-    if (!hasExpressSession && !hasPadCookie) {
-      res.status(401).send('Authentication required');
+  const DEFAULT_UPLOAD_LIMIT = 10 * 1024 * 1024;    // used when ep_images_extended sets no maxFileSize
+
+  // Locally stored images (storage.type "local").
+  app.get(`${imageStorage.LOCAL_ROUTE}/:dir/:file`, (req, res) => {
+    const filePath = imageStorage.getStorageType() === 'local' &&
+      imageStorage.resolveLocalImage(req.params.dir, req.params.file);
+    if (!filePath) {
+      res.status(404).send('Not found');
       return;
     }
+    res.sendFile(filePath, {
+      headers: {
+        'Content-Type': mime.getType(filePath) || 'application/octet-stream',
+        'X-Content-Type-Options': 'nosniff',
+        'Content-Security-Policy': "default-src 'none'; style-src 'unsafe-inline'; sandbox",
+        'Cache-Control': 'public, max-age=31536000, immutable',
+      },
+    }, (err) => {
+      if (err && !res.headersSent) res.status(404).send('Not found');
+    });
+  });
 
-    const url = req.query.url;
-    if (!url || !/^https?:\/\//i.test(url)) {
-      res.status(400).send('Bad url');
+  // Browser uploads for the local backend (the S3 backend uses ep_images_extended's presign
+  // endpoint instead). Body: raw image bytes with their Content-Type.
+  app.post('/ep_docx_image_upload', async (req, res) => {
+    if (!_isAuthenticatedRequest(req)) {
+      res.status(401).send('Authentication required');
       return;
     }
-
-    // Block requests targeting private or loopback hosts to mitigate SSRF.
+    if (imageStorage.getStorageType() !== 'local') {
+      res.status(404).send('Local image storage is not enabled');
+      return;
+    }
+    const padId = typeof req.query.padId === 'string' ? req.query.padId : '';
+    if (!padId) {
+      res.status(400).send('Missing padId');
+      return;
+    }
+    if (!(await _hasPadAccess(req, padId))) {
+      res.status(403).send('No access to this pad');
+      return;
+    }
+    const {allowed, retryAfterMs} = await getRateLimiter().hit(await rateLimitKey(req));
+    if (!allowed) {
+      res.set('Retry-After', String(Math.ceil(retryAfterMs / 1000)));
+      res.status(429).send('Too many requests, slow down');
+      return;
+    }
+    const limit = (settings.ep_images_extended && settings.ep_images_extended.maxFileSize) ||
+      DEFAULT_UPLOAD_LIMIT;
     try {
-      const {hostname} = new URL(url);
-      if (_isForbiddenHost(hostname)) {
-        res.status(400).send('Forbidden host');
+      const body = await _readBody(req, limit);
+      // The type comes from the bytes, as in the proxy; the request's Content-Type is not trusted.
+      const mimeType = sniffImageType(body);
+      if (!mimeType) {
+        res.status(415).send('Not a supported image');
         return;
       }
-    } catch (_) {
-      res.status(400).send('Malformed url');
-      return;
+      const rejection = imageStorage.checkImageLimits(body, mimeType);
+      if (rejection) {
+        res.status(415).send(rejection);
+        return;
+      }
+      const storedUrl = await imageStorage.storeImage(body, mimeType, String(req.query.name || ''), padId);
+      if (!storedUrl) {
+        res.status(500).send('Image could not be stored');
+        return;
+      }
+      res.json({url: storedUrl});
+    } catch (e) {
+      if (res.headersSent) return;
+      if (e.status === 413) res.set('Connection', 'close');
+      res.status(e.status || 500).send(e.status ? e.message : 'Upload failed');
+    }
+  });
+
+  // Fetch one remote image and store it for `padId`. Answers {url} or {error}.
+  const importRemoteImage = async (url, padId) => {
+    if (typeof url !== 'string' || !/^https?:\/\//i.test(url)) return {error: 'Bad url'};
+    try {
+      const {type, buffer} = await downloadImage(url, {maxBytes: MAX_CONTENT_LENGTH});
+      const rejection = imageStorage.checkImageLimits(buffer, type);
+      if (rejection) return {error: rejection};
+      const storedUrl = await imageStorage.storeImage(buffer, type, new URL(url).pathname, padId);
+      return storedUrl ? {url: storedUrl} : {error: 'Image could not be stored'};
+    } catch (e) {
+      logger.warn(`[ep_docx_html_customizer] Remote image import of ${url} failed: ${e.message}`);
+      return {error: e instanceof ImageProxyError ? http.STATUS_CODES[e.status] : 'Proxy error'};
     }
+  };
 
-    // Primitive per-IP rate limiter (in-memory).
-    const ip = req.ip || req.headers['x-forwarded-for'] || req.connection?.remoteAddress || 'unknown';
-    const now = Date.now();
-    let timestamps = _rateLimitStore.get(ip) || [];
-    timestamps = timestamps.filter((t) => t > now - RATE_LIMIT_WINDOW_MS);
-    if (timestamps.length >= RATE_LIMIT_MAX_REQUESTS) {
+  // Server-side import of pasted remote images, so the bytes do not travel through the browser
+  // twice. Body: {"padId": "…", "urls": ["https://…", …]}. Answers {"images": [{url} | {error}]}
+  // in the order of `urls`. Every URL counts against the proxy rate limit, as if it had gone
+  // through the proxy; the whole request is refused up front when they would exceed it, so a
+  // paste is not cut off halfway through.
+  app.post('/ep_docx_image_import', async (req, res) => {
+    if (!_isAuthenticatedRequest(req)) {
+      res.status(401).send('Authentication required');
+      return;
+    }
+    let body;
+    try {
+      body = JSON.parse((await _readBody(req, 64 * 1024)).toString('utf8'));
+    } catch (e) {
+      if (e.status === 413) res.set('Connection', 'close');
+      res.status(e.status || 400).send(e.status ? e.message : 'Malformed JSON');
+      return;
+    }
+    const {padId, urls} = body || {};
+    if (typeof padId !== 'string' || !padId) {
+      res.status(400).send('Missing padId');
+      return;
+    }
+    if (!Array.isArray(urls) || !urls.length || urls.length > MAX_REMOTE_IMAGES_PER_REQUEST) {
+      res.status(400).send(`urls must list 1 to ${MAX_REMOTE_IMAGES_PER_REQUEST} URLs`);
+      return;
+    }
+    if (!imageStorage.getStorageType()) {
+      res.status(503).send('No image storage configured');
+      return;
+    }
+    if (!(await _hasPadAccess(req, padId))) {
+      res.status(403).send('No access to this pad');
+      return;
+    }
+    const {allowed, retryAfterMs} = await getRateLimiter().hit(await rateLimitKey(req), urls.length);
+    if (!allowed) {
+      res.set('Retry-After', String(Math.ceil(retryAfterMs / 1000)));
       res.status(429).send('Too many requests, slow down');
       return;
     }
-    timestamps.push(now);
-    _rateLimitStore.set(ip, timestamps);
 
-    const fetch = _getFetch();
-    if (!fetch) {
-      res.status(500).send('fetch unavailable');
+    const images = new Array(urls.length);
+    let next = 0;
+    const worker = async () => {
+      while (next < urls.length) {
+        const i = next++;
+        images[i] = await importRemoteImage(urls[i], padId);
+      }
+    };
+    await Promise.all(Array.from({length: Math.min(IMPORT_CONCURRENCY, urls.length)}, worker));
+    res.json({images});
+  });
+
+  app.get('/ep_docx_image_proxy', async (req, res) => {
+    if (!_isAuthenticatedRequest(req)) {
+      res.status(401).send('Authentication required');
       return;
     }
 
-    try {
-      let controller;
-      let timer;
-      if (typeof AbortController === 'function') {
-        controller = new AbortController();
-        timer = setTimeout(() => controller.abort(), FETCH_TIMEOUT_MS);
-      }
-      const resp = await fetch(url, controller ? {signal: controller.signal} : {});
-      if (timer) clearTimeout(timer);
+    const url = req.query.url;
+    if (!url || !/^https?:\/\//i.test(url)) {
+      res.status(400).send('Bad url');
+      return;
+    }
 
-      if (!resp.ok) {
-        res.status(resp.status).send('Upstream error');
-        return;
-      }
+    const {allowed, retryAfterMs} = await getRateLimiter().hit(await rateLimitKey(req));
+    if (!allowed) {
+      res.set('Retry-After', String(Math.ceil(retryAfterMs / 1000)));
+      res.status(429).send('Too many requests, slow down');
+      return;
+    }
 
-      // Reject very large payloads to avoid memory/bandwidth abuse.
-      const respLen = parseInt(resp.headers.get('content-length') || '0', 10);
-      if (respLen && respLen > MAX_CONTENT_LENGTH) {
-        res.status(413).send('Payload too large');
+    try {
+      // Checks every hop against private/loopback addresses and counts the bytes that actually
+      // arrive; the type comes from the bytes, never from the upstream Content-Type.
+      const {type, stream} = await openImage(url, {maxBytes: MAX_CONTENT_LENGTH});
+      if (!imageStorage.isAllowedImageType(type)) {
+        stream.destroy();
+        res.status(415).send('Unsupported image type');
         return;
       }
 
       res.set({
-        'Content-Type': resp.headers.get('content-type') || 'application/octet-stream',
+        'Content-Type': type,
+        'X-Content-Type-Options': 'nosniff',
+        'Content-Security-Policy': "default-src 'none'; sandbox",
         'Cache-Control': 'public, max-age=86400',
-        'Access-Control-Allow-Origin': '*',
       });
-
-      if (resp.body && typeof resp.body.pipe === 'function') {
-        resp.body.pipe(res);
-      } else {
-        const buf = Buffer.from(await resp.arrayBuffer());
-        res.end(buf);
-      }
+      stream.on('error', (err) => {
+        logger.warn(`[ep_docx_html_customizer] Image proxy aborted ${url}: ${err.message}`);
+        res.destroy();
+      });
+      stream.pipe(res);
     } catch (e) {
+      if (e instanceof ImageProxyError) {
+        logger.warn(`[ep_docx_html_customizer] Image proxy refused ${url}: ${e.message}`);
+        res.status(e.status).send(http.STATUS_CODES[e.status]);
+        return;
+      }
       logger.warn('[ep_docx_html_customizer] Proxy error', e);
-      res.status(e.name === 'AbortError' ? 504 : 502).send('Proxy error');
+      res.status(502).send('Proxy error');
     }
   });
 }; 
@@ -0,0 +1,191 @@
+'use strict';
+
+/**
+ * Request rate limiting for the image proxy.
+ *
+ * A limiter counts requests per client in fixed windows and keeps the counters in a store:
+ *   • "memory"   – this process only, in a Map bounded to `maxClients` entries (least recently
+ *                  used clients are dropped first). Right for single-node installations.
+ *   • "database" – Etherpad's database, so every node of a cluster counts against one limit.
+ *                  Reads and writes are not atomic, so concurrent requests on different nodes
+ *                  can slightly exceed the limit. When a window starts, records of ended
+ *                  windows are found by key prefix and removed, whichever node wrote them.
+ *
+ * Clients are identified by the signed-in user or the author their token cookie belongs to, and
+ * otherwise by the IP address Express reports (which honours Etherpad's `trustProxy` setting).
+ * A token Etherpad has never issued counts as no token, so made-up tokens cannot buy a fresh
+ * limit.
+ *
+ * The limiter is configured with `ep_docx_html_customizer.rateLimit` in settings.json.
+ */
+
+const log4js = require('log4js');
+const settings = require('ep_etherpad-lite/node/utils/Settings');
+
+const logger = log4js.getLogger('ep_docx_html_customizer');
+
+const DEFAULT_RATE_LIMIT_OPTIONS = {
+  windowMs: 60 * 1000,
+  maxRequests: 30,
+  maxClients: 10000,
+  store: 'memory',
+};
+
+const DB_KEY_PREFIX = 'ep_docx_html_customizer:ratelimit:';
+
+/**
+ * In-process counters. A Map iterates in insertion order, so re-inserting a client on every hit
+ * keeps the least recently seen one first in line for eviction.
+ *
+ * @param {object} [opts]
+ * @param {number} [opts.maxClients]
+ * @returns {{increment: function(string, number, number=): Promise<{count: number, windowStart: number}>,
+ *     size: function(): number}}
+ */
+const createMemoryStore = ({maxClients = DEFAULT_RATE_LIMIT_OPTIONS.maxClients} = {}) => {
+  const windows = new Map();
+  return {
+    increment: async (key, windowStart, cost = 1) => {
+      const current = windows.get(key);
+      const entry = current && current.windowStart === windowStart ? current : {windowStart, count: 0};
+      entry.count += cost;
+      windows.delete(key);
+      windows.set(key, entry);
+      if (windows.size > maxClients) windows.delete(windows.keys().next().value);
+      return entry;
+    },
+    size: () => windows.size,
+  };
+};
+
+/**
+ * Counters in a key-value database with Etherpad's async `get`/`set`/`remove`/`findKeys`
+ * interface. One record per client, overwritten when a new window starts. The database has no
+ * expiry of its own, so when a window starts the store looks up every counter record and removes
+ * those of ended windows, including ones written by other nodes or before a restart.
+ *
+ * @param {{get: function(string): Promise<*>, set: function(string, *): Promise<void>,
+ *     remove: function(string): Promise<void>,
+ *     findKeys: function(string, string|null): Promise<string[]>}} db
+ * @returns {{increment: function(string, number, number=): Promise<{count: number, windowStart: number}>,
+ *     sweep: function(): Promise<void>}}
+ */
+const createDatabaseStore = (db) => {
+  let currentWindow = null;
+  let sweeping = Promise.resolve();
+
+  const removeStale = async (windowStart) => {
+    for (const dbKey of await db.findKeys(`${DB_KEY_PREFIX}*`, null)) {
+      // Another node may have moved the record on to the current window since it was listed.
+      const record = await db.get(dbKey);
+      if (record && record.windowStart < windowStart) await db.remove(dbKey);
+    }
+  };
+
+  return {
+    increment: async (key, windowStart, cost = 1) => {
+      const dbKey = `${DB_KEY_PREFIX}${key}`;
+      if (windowStart !== currentWindow) {
+        currentWindow = windowStart;
+        // In the background: one request should not wait for everybody's cleanup.
+        sweeping = sweeping.then(() => removeStale(windowStart)).catch((err) => {
+          logger.warn(`[ep_docx_html_customizer] Could not remove old rate limit records: ${err.message}`);
+        });
+      }
+      const current = await db.get(dbKey);
+      const entry = current && current.windowStart === windowStart ?
+        {windowStart, count: current.count + cost} : {windowStart, count: cost};
+      await db.set(dbKey, entry);
+      return entry;
+    },
+    // Resolves once the removals started so far are done.
+    sweep: () => sweeping,
+  };
+};
+
+/**
+ * Create a limiter.
+ *
+ * @param {object} [opts]
+ * @param {number} [opts.windowMs] - Length of one counting window.
+ * @param {number} [opts.maxRequests] - Requests allowed per client and window.
+ * @param {object} [opts.store] - A store from createMemoryStore() or createDatabaseStore();
+ *     defaults to a memory store holding `opts.maxClients` clients.
+ * @param {function(): number} [opts.now]
+ * @returns {{hit: function(string, number=): Promise<{allowed: boolean, retryAfterMs: number}>}}
+ *     `hit(key, cost)` counts `cost` requests at once, for a request that makes several fetches.
+ */
+const createRateLimiter = (opts = {}) => {
+  const {windowMs, maxRequests, maxClients} = {...DEFAULT_RATE_LIMIT_OPTIONS, ...opts};
+  const store = opts.store || createMemoryStore({maxClients});
+  const now = opts.now || Date.now;
+  return {
+    hit: async (key, cost = 1) => {
+      const t = now();
+      const windowStart = t - (t % windowMs);
+      let count;
+      try {
+        ({count} = await store.increment(key, windowStart, cost));
+      } catch (err) {
+        // A broken store should not take image pasting down with it.
+        logger.warn(`[ep_docx_html_customizer] Rate limit store failed, allowing request: ${err.message}`);
+        return {allowed: true, retryAfterMs: 0};
+      }
+      const allowed = count <= maxRequests;
+      return {allowed, retryAfterMs: allowed ? 0 : windowStart + windowMs - t};
+    },
+  };
+};
+
+/**
+ * The client a request is counted against.
+ *
+ * @param {object} req - Express request.
+ * @param {{get: function(string): Promise<*>}} [db] - Etherpad's database.
+ * @returns {Promise<string>}
+ */
+const rateLimitKey = async (req, db = require('ep_etherpad-lite/node/db/DB')) => {
+  const user = req.session && req.session.user;
+  if (user && user.username) return `user:${user.username}`;
+  if (req.session && req.session.authorId) return `author:${req.session.authorId}`;
+  const token = req.cookies && req.cookies.token;
+  if (token) {
+    try {
+      // The record AuthorManager keeps for issued tokens. Unlike AuthorManager.getAuthorId() this
+      // does not create an author for a token it has not seen.
+      const authorId = await db.get(`token2author:${token}`);
+      if (typeof authorId === 'string' && authorId) return `author:${authorId}`;
+    } catch (err) {
+      logger.warn(`[ep_docx_html_customizer] Could not look up the author of a token: ${err.message}`);
+    }
+  }
+  return `ip:${req.ip || 'unknown'}`;
+};
+
+let defaultLimiter = null;
+
+/**
+ * @returns {{hit: function(string, number=): Promise<{allowed: boolean, retryAfterMs: number}>}} The
+ *     limiter configured in settings.json, created on first use.
+ */
+const getRateLimiter = () => {
+  if (!defaultLimiter) {
+    const cfg = (settings.ep_docx_html_customizer && settings.ep_docx_html_customizer.rateLimit) || {};
+    const opts = {...cfg, store: undefined};
+    if (cfg.store === 'database') {
+      opts.store = createDatabaseStore(require('ep_etherpad-lite/node/db/DB'));
+    } else if (cfg.store && cfg.store !== 'memory') {
+      logger.warn(`[ep_docx_html_customizer] Unknown rateLimit.store "${cfg.store}", using memory`);
+    }
+    defaultLimiter = createRateLimiter(opts);
+  }
+  return defaultLimiter;
+};
+
+module.exports = {
+  createDatabaseStore,
+  createMemoryStore,
+  createRateLimiter,
+  getRateLimiter,
+  rateLimitKey,
+};
@@ -5,16 +5,33 @@
 // synchronously inserts formatted HTML. Capture the event first so rich table
 // clipboard content is not inserted once by core and again by this plugin.
 
-const {customizeDocument, uploadImageToS3Browser} = require('../../transform_common');
+const {
+  ANCHOR_CLASS_RE, FONT_FAMILY_CLASS_RE, HIGHLIGHT_CLASS_RE, customizeDocument, importRemoteImagesBrowser,
+  uploadImageBrowser,
+} = require('../../transform_common');
 
 // ADD: Constants matching ep_tables5 for table detection & delimiter cleanup
 const ATTR_TABLE_JSON = 'tbljson';
 const DELIMITER = '\u241F'; // same invisible delimiter used by ep_tables5
 const ATTR_CELL = 'td';
+const ATTR_ANCHOR = 'anchor';
+const ATTR_HIGHLIGHT = 'highlight';
+const ATTR_FONT_FAMILY = 'font-family';
 const DEBUG = false;
 const IS_SAFARI = typeof navigator !== 'undefined' &&
   /^((?!chrome|android).)*safari/i.test(navigator.userAgent);
 
+// Transform options published by the server's clientVars hook (see getTransformOptions in index.js).
+const transformOptions = () =>
+  (typeof clientVars !== 'undefined' && clientVars.ep_docx_html_customizer) || {};
+
+// Strings from locales/, through Etherpad's html10n when the pad has loaded it.
+const localize = (key) => {
+  const html10n = typeof window !== 'undefined' && window.html10n;
+  const value = html10n && html10n.get(key);
+  return value && value !== key ? value : undefined;
+};
+
 // Base64 decode helper (URL-safe) reused by table logic
 const dec = (s) => {
   try {
@@ -60,7 +77,8 @@ exports.postAceInit = (hook, context) => {
 
       const doc = new DOMParser().parseFromString(html, 'text/html');
       if (DEBUG) console.log('[docx_customizer] DOMParser tables found:', doc.querySelectorAll('table').length);
-      customizeDocument(doc, {env: 'browser'});
+      const notesHeading = localize('ep_docx_html_customizer.notes');
+      customizeDocument(doc, {...transformOptions(), notesHeading, env: 'browser'});
       if (DEBUG) console.log('[docx_customizer] after customizeDocument, tbljson elements:', doc.querySelectorAll('[class*="tbljson-"]').length);
       
       // CRITICAL: Regenerate tblId values to prevent conflicts with existing tables
@@ -231,17 +249,31 @@ exports.postAceInit = (hook, context) => {
         if (totalImages > 0) {
           if (DEBUG) console.log(`[docx_customizer] Starting to process ${totalImages} images`);
         }
+        const padId = (typeof clientVars !== 'undefined') ? clientVars.padId : 'clipboard';
+        const spanUrl = (sp) => {
+          const m = sp.className.match(/image:([^ ]+)/);
+          return m ? decodeURIComponent(m[1]) : null;
+        };
+        // Let the server fetch and store remote images in one request. Images it could not import,
+        // or all of them if that endpoint is unavailable, are fetched and uploaded from the
+        // browser below.
+        const remoteUrls = [...new Set(imageSpans.map(spanUrl).filter((u) => u && /^https?:/.test(u)))];
+        const importedUrls = new Map();
+        if (remoteUrls.length) {
+          const stored = await importRemoteImagesBrowser(remoteUrls, padId);
+          if (stored) remoteUrls.forEach((u, i) => { if (stored[i]) importedUrls.set(u, stored[i]); });
+        }
         await Promise.all(imageSpans.map(async (sp) => {
           const m = sp.className.match(/image:([^ ]+)/);
           if (!m) return;
           let url = decodeURIComponent(m[1]);
           try {
             let blob;
-            const padId = (typeof clientVars !== 'undefined') ? clientVars.padId : 'clipboard';
+            let finalUrl = null;
             let filename = `image-${Date.now()}`;
 
             if (url.startsWith('data:')) {
-              // Convert data URL to Blob so we can upload via S3 presign
+              // Convert data URL to Blob so we can upload it to image storage
               const commaIdx = url.indexOf(',');
               if (commaIdx === -1) return;
               const header = url.substring(0, commaIdx);
@@ -255,6 +287,8 @@ exports.postAceInit = (hook, context) => {
               blob = new Blob([bytes], {type: mimeType});
               const ext = (mimeType.split('/')[1] || 'png');
               filename += `.${ext}`;
+            } else if (importedUrls.has(url)) {
+              finalUrl = importedUrls.get(url);
             } else if (/^https?:/.test(url)) {
               // Fetch remote and fall back to same-origin proxy on CORS failure
               let resp;
@@ -291,14 +325,18 @@ exports.postAceInit = (hook, context) => {
               return; // unsupported scheme
             }
 
-            const finalUrl = await uploadImageToS3Browser(blob, filename, padId);
-            if (!finalUrl) throw new Error('S3 upload failed');
+            if (!finalUrl) {
+              finalUrl = await uploadImageBrowser(blob, filename, padId);
+              if (!finalUrl) throw new Error('image upload failed');
+            }
 
             const dim = await new Promise((res, rej) => {
               const imgObj = new Image();
               imgObj.onload = () => res({w: imgObj.naturalWidth, h: imgObj.naturalHeight});
-              imgObj.onerror = rej;
-              imgObj.src = URL.createObjectURL(blob);
+              // Without local bytes the stored copy is measured; it is already saved, so an
+              // image that does not load here only loses its size classes.
+              imgObj.onerror = blob ? rej : () => res(null);
+              imgObj.src = blob ? URL.createObjectURL(blob) : finalUrl;
             });
             if (dim && dim.w && dim.h) {
               const ratio = (dim.w / dim.h).toFixed(4);
@@ -311,8 +349,8 @@ exports.postAceInit = (hook, context) => {
             }
             sp.className = sp.className.replace(m[1], encodeURIComponent(finalUrl));
           } catch (e) {
-            // S3 upload failed - replace image span with warning emoji (never fall back to base64)
-            console.warn('[docx_customizer] S3 upload failed for image, replacing with warning:', url, e);
+            // Upload failed - replace image span with warning emoji (never fall back to base64)
+            console.warn('[docx_customizer] image upload failed, replacing with warning:', url, e);
             const warning = document.createTextNode('⚠️');
             sp.parentNode.replaceChild(warning, sp);
           }
@@ -393,6 +431,10 @@ exports.postAceInit = (hook, context) => {
                         currentAttributes.push(['color', cls.slice('color:'.length)]);
                       } else if (cls.startsWith('font-size:')) {
                         currentAttributes.push(['font-size', cls.slice('font-size:'.length)]);
+                      } else if (FONT_FAMILY_CLASS_RE.test(cls)) {
+                        currentAttributes.push([ATTR_FONT_FAMILY, cls.slice('font-family:'.length)]);
+                      } else if (HIGHLIGHT_CLASS_RE.test(cls)) {
+                        currentAttributes.push([ATTR_HIGHLIGHT, cls.slice('highlight:'.length).toLowerCase()]);
                       } else if (cls === 'sup') {
                         currentAttributes.push(['sup', 'true']);
                         if (DEBUG) console.log('[docx_customizer] detected sup class');
@@ -628,6 +670,17 @@ exports.collectContentPre = (hookName, context) => {
     }
   }
 
+  const anchorClass = ANCHOR_CLASS_RE.exec(cls);
+  if (anchorClass) cc.doAttrib(state, `${ATTR_ANCHOR}::${anchorClass[1]}`);
+
+  const highlightClass = HIGHLIGHT_CLASS_RE.exec(cls);
+  if (highlightClass) cc.doAttrib(state, `${ATTR_HIGHLIGHT}::${highlightClass[1].toLowerCase()}`);
+
+  // `font-family:<name>` classes from customizeDocument or copied pad text; the installed font
+  // plugin renders the attribute.
+  const fontFamilyClass = FONT_FAMILY_CLASS_RE.exec(cls);
+  if (fontFamilyClass) cc.doAttrib(state, `${ATTR_FONT_FAMILY}::${fontFamilyClass[1]}`);
+
   const tblCellClass = /(?:^| )(tblCell-[^ ]*)/.exec(cls);
   if (tblCellClass) {
     const cellIdx = tblCellClass[1].substring(8); // "tblCell-".length
@@ -666,5 +719,34 @@ exports.aceAttribsToClasses = (hook, context) => {
   if (context.key === ATTR_CELL) {
     return [`tblCell-${context.value}`];
   }
+  if (context.key === ATTR_ANCHOR && /^[A-Za-z][\w-]*$/.test(context.value)) {
+    return [`anchor:${context.value}`];
+  }
+  if (context.key === ATTR_HIGHLIGHT && /^#[0-9a-f]{6}$/i.test(context.value)) {
+    return [`highlight:${context.value}`];
+  }
   return [];
 };
+
+// Footnote link targets: give `anchor:<id>` spans the id their "#<id>" links point at.
+// Highlights: paint `highlight:#rrggbb` spans, which have no stylesheet rule per colour.
+exports.acePostWriteDomLineHTML = (hook, context) => {
+  context.node.querySelectorAll('[class*="anchor:"]').forEach((el) => {
+    const m = ANCHOR_CLASS_RE.exec(el.className);
+    if (m) el.id = m[1];
+  });
+  context.node.querySelectorAll('[class*="highlight:"]').forEach((el) => {
+    const m = HIGHLIGHT_CLASS_RE.exec(el.className);
+    if (m) el.style.backgroundColor = m[1];
+  });
+};
+
+// Payload type of the import report sent by import_report.js on the server.
+const IMPORT_REPORT_MESSAGE_TYPE = 'ep_docx_html_customizer_importReport';
+
+exports.handleClientMessage_CUSTOM = (hook, context) => {
+  const payload = context.payload;
+  if (!payload || payload.type !== IMPORT_REPORT_MESSAGE_TYPE || !payload.report) return;
+  if (typeof window === 'undefined' || !window.docxToast) return;
+  window.docxToast.showImportReport(payload.report);
+};
@@ -3,6 +3,15 @@
  * Shows progress updates for image uploads during import and clipboard operations
  */
 
+// A string from locales/ through Etherpad's html10n, or `fallback` (the English text) when the
+// translations are not loaded. Both fill in {{name}} placeholders from `args`.
+const localizeToast = (key, fallback, args = {}) => {
+  const html10n = window.html10n;
+  const value = html10n && html10n.get(key, args);
+  if (value && value !== key) return value;
+  return fallback.replace(/\{\{\s*(\w+)\s*\}\}/g, (m, name) => (name in args ? String(args[name]) : m));
+};
+
 class DocxToastManager {
   constructor() {
     this.container = null;
@@ -19,17 +28,39 @@ class DocxToastManager {
   }
 
   createToast(id, title, message = '', type = 'default') {
+    // Built with textContent: titles and messages can contain file names and image paths
+    // taken from the imported document.
     const toast = document.createElement('div');
     toast.className = `docx-toast ${type}`;
-    toast.innerHTML = `
-      <button class="docx-toast-close" onclick="docxToast.removeToast('${id}')">&times;</button>
-      <div class="docx-toast-title">${title}</div>
-      ${message ? `<div class="docx-toast-message">${message}</div>` : ''}
-      <div class="docx-toast-progress"></div>
-      <div class="docx-toast-progress-bar">
-        <div class="docx-toast-progress-fill"></div>
-      </div>
-    `;
+
+    const closeButton = document.createElement('button');
+    closeButton.className = 'docx-toast-close';
+    closeButton.textContent = '\u00d7';
+    closeButton.addEventListener('click', () => this.removeToast(id));
+    toast.appendChild(closeButton);
+
+    const titleEl = document.createElement('div');
+    titleEl.className = 'docx-toast-title';
+    titleEl.textContent = title;
+    toast.appendChild(titleEl);
+
+    if (message) {
+      const messageEl = document.createElement('div');
+      messageEl.className = 'docx-toast-message';
+      messageEl.textContent = message;
+      toast.appendChild(messageEl);
+    }
+
+    const progressText = document.createElement('div');
+    progressText.className = 'docx-toast-progress';
+    toast.appendChild(progressText);
+
+    const progressBar = document.createElement('div');
+    progressBar.className = 'docx-toast-progress-bar';
+    const progressFill = document.createElement('div');
+    progressFill.className = 'docx-toast-progress-fill';
+    progressBar.appendChild(progressFill);
+    toast.appendChild(progressBar);
 
     this.container.appendChild(toast);
     this.toasts.set(id, toast);
@@ -130,6 +161,59 @@ class DocxToastManager {
   showError(id, title, message, autoDismiss = 5000) {
     this.showToast(id, title, message, 'error', autoDismiss);
   }
+
+  /**
+   * Show the report the server sends after importing a document. Reports with warnings or lost
+   * content stay open until closed and list the problems in a details view.
+   *
+   * @param {object} report - {format, counts, warnings, omittedWarnings, dropped}
+   */
+  showImportReport(report) {
+    const counts = report.counts || {};
+    const dropped = Object.entries(report.dropped || {});
+    const warnings = report.warnings || [];
+    const hasProblems = warnings.length > 0 || dropped.length > 0 || counts.imagesSkipped > 0;
+
+    const t = (key, fallback, args) => localizeToast(`ep_docx_html_customizer.import.${key}`, fallback, args);
+    const summary = [
+      ['images', 'image'], ['tables', 'table'], ['links', 'link'],
+    ].filter(([key]) => counts[key] > 0)
+        .map(([key, noun]) => (counts[key] === 1 ?
+          t(noun, `{{count}} ${noun}`, {count: 1}) : t(key, `{{count}} ${key}`, {count: counts[key]})));
+    if (counts.imagesSkipped > 0) summary.push(t('skipped', '{{count}} skipped', {count: counts.imagesSkipped}));
+
+    const id = 'docx-import-report';
+    const toast = this.showToast(id,
+        hasProblems ? t('titleWarnings', 'Import Complete with Warnings') : t('title', 'Import Complete'),
+        summary.length ? t('summary', 'Imported {{items}}', {items: summary.join(', ')}) : '',
+        hasProblems ? 'warning' : 'success',
+        hasProblems ? 0 : 5000);
+    const progressBar = toast.querySelector('.docx-toast-progress-bar');
+    if (progressBar) progressBar.style.display = 'none';
+    if (!hasProblems) return toast;
+
+    const details = document.createElement('details');
+    details.className = 'docx-toast-details';
+    const detailsSummary = document.createElement('summary');
+    detailsSummary.textContent = t('details', 'Details');
+    details.appendChild(detailsSummary);
+    const list = document.createElement('ul');
+    const addItem = (text) => {
+      const li = document.createElement('li');
+      li.textContent = text;
+      list.appendChild(li);
+    };
+    warnings.forEach(addItem);
+    if (report.omittedWarnings > 0) {
+      addItem(t('moreWarnings', '…and {{count}} more warning(s)', {count: report.omittedWarnings}));
+    }
+    dropped.forEach(([what, n]) => addItem(n > 1 ?
+      t('notImportedTimes', 'Not imported: {{what}} ({{count}}×)', {what, count: n}) :
+      t('notImported', 'Not imported: {{what}}', {what})));
+    details.appendChild(list);
+    toast.appendChild(details);
+    return toast;
+  }
 }
 
 // Global instance
@@ -0,0 +1,78 @@
+'use strict';
+
+const assert = require('node:assert/strict');
+const test = require('node:test');
+const {JSDOM} = require('jsdom');
+const {NAMED_COLORS, declaredColor, parseColorToRgb, rgbToHexColor} = require('../color');
+
+const hex = (value) => rgbToHexColor(parseColorToRgb(value));
+
+test('parses the CSS Color 4 syntax into opaque sRGB', () => {
+  const cases = [
+    // Keywords
+    ['red', '#ff0000'],
+    ['RebeccaPurple', '#663399'],
+    ['lightgoldenrodyellow', '#fafad2'],
+    ['windowtext', '#000000'],
+    ['Canvas', '#ffffff'],
+    ['auto', null],
+    ['transparent', null],
+    ['currentColor', null],
+    // Hex, including Word's bare <font color> values
+    ['#f00', '#ff0000'],
+    ['#f008', '#ff7777'],
+    ['#336699', '#336699'],
+    ['#ff000080', '#ff7f7f'],
+    ['ff0000', '#ff0000'],
+    ['#ff000000', null],
+    // rgb()
+    ['rgb(51, 102, 153)', '#336699'],
+    ['rgba(0, 0, 0, 0.5)', '#808080'],
+    ['rgb(0 0 0 / 50%)', '#808080'],
+    ['rgb(100% 0% 0%)', '#ff0000'],
+    ['rgb(300 -20 0)', '#ff0000'],
+    ['rgba(255, 0, 0, 0)', null],
+    ['rgb(255 0 0) !important', '#ff0000'],
+    // hsl() and hwb()
+    ['hsl(120, 100%, 25%)', '#008000'],
+    ['hsl(120deg 100% 25%)', '#008000'],
+    ['hsla(0.5turn, 100%, 50%, 0.5)', '#80ffff'],
+    ['hsl(none 0% 50%)', '#808080'],
+    ['hwb(0 0% 0%)', '#ff0000'],
+    ['hwb(90 60% 60%)', '#808080'],
+    // Lab-based and predefined spaces
+    ['lab(54.29 80.8 69.89)', '#ff0000'],
+    ['lab(50% 0 0)', '#777777'],
+    ['lch(54.29 106.84 40.85)', '#ff0000'],
+    ['oklab(0.628 0.2249 0.1258)', '#ff0000'],
+    ['oklch(62.8% 0.2577 29.23)', '#ff0000'],
+    ['color(srgb 0.2 0.4 0.6)', '#336699'],
+    ['color(srgb-linear 1 1 1 / 0.5)', '#ffffff'],
+    ['color(display-p3 1 0 0)', '#ff0000'],
+    ['color(xyz-d65 0.9505 1 1.089)', '#ffffff'],
+    ['color(rec2020 0 0 0)', '#000000'],
+    // Invalid
+    ['', null],
+    ['rgb(1, 2)', null],
+    ['rgb(1, 2, 3 / 1)', null],
+    ['hsl(10%, 50%, 50%)', null],
+    ['lab(50, 0, 0)', null],
+    ['color(unknown 1 1 1)', null],
+    ['url(x.png)', null],
+    ['#12345', null],
+  ];
+  for (const [input, expected] of cases) {
+    assert.equal(hex(input), expected, input);
+  }
+  assert.equal(Object.keys(NAMED_COLORS).length, 148);
+});
+
+test('reads colours the DOM parser rejects from the style attribute', () => {
+  const {document} = new JSDOM('<body></body>').window;
+  const el = document.createElement('span');
+  el.setAttribute('style', 'background-color: yellow; color: oklch(62.8% 0.2577 29.23); mso-highlight: lime');
+  assert.equal(declaredColor(el, 'color'), 'oklch(62.8% 0.2577 29.23)');
+  assert.equal(declaredColor(el, 'background-color'), 'yellow');
+  assert.equal(declaredColor(el, 'mso-highlight'), 'lime');
+  assert.equal(declaredColor(el, 'border-color'), '');
+});
@@ -0,0 +1,177 @@
+'use strict';
+
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const Module = require('node:module');
+const os = require('node:os');
+const path = require('node:path');
+const test = require('node:test');
+
+const settings = {};
+const originalLoad = Module._load;
+Module._load = function(request, parent, isMain) {
+  if (request === 'log4js') return {getLogger: () => ({debug() {}, info() {}, warn() {}, error() {}})};
+  if (request === 'ep_etherpad-lite/node/utils/Settings') return settings;
+  return originalLoad.call(this, request, parent, isMain);
+};
+const {
+  ConversionError, convertToFile, createConversionPool, makeWorkDir, removeWorkDir, runSoffice,
+} = require('../converter');
+Module._load = originalLoad;
+
+const deferred = () => {
+  let resolve;
+  const promise = new Promise((r) => { resolve = r; });
+  return {promise, resolve};
+};
+
+test('conversion pool caps concurrency, bounds the queue and isolates profiles', async () => {
+  const started = [];
+  const gates = [];
+  const pool = createConversionPool({
+    workers: 2,
+    maxQueue: 1,
+    profileRoot: '/profiles',
+    runJob: (job) => {
+      started.push(job);
+      const gate = deferred();
+      gates.push(gate);
+      return gate.promise;
+    },
+  });
+
+  const jobs = ['a', 'b', 'c'].map((srcFile) => pool.convert({srcFile}));
+  await assert.rejects(pool.convert({srcFile: 'd'}), /queue is full/);
+  assert.deepEqual(started.map((j) => j.srcFile), ['a', 'b']);
+  assert.deepEqual(started.map((j) => j.profileDir), ['/profiles/worker-0', '/profiles/worker-1']);
+  assert.deepEqual(pool.stats(), {queued: 1, busy: 2});
+
+  gates[0].resolve();
+  await jobs[0];
+  await new Promise(setImmediate);
+  assert.equal(started[2].srcFile, 'c');
+  assert.equal(started[2].profileDir, '/profiles/worker-0');
+  gates[1].resolve();
+  gates[2].resolve();
+  await Promise.all(jobs);
+  await new Promise(setImmediate);
+  assert.deepEqual(pool.stats(), {queued: 0, busy: 0});
+});
+
+test('keeps worker profiles below the Etherpad root by default', async () => {
+  settings.root = '/opt/etherpad';
+  const started = [];
+  const pool = createConversionPool({runJob: async (job) => { started.push(job); }});
+  await pool.convert({srcFile: 'a'});
+  assert.equal(started[0].profileDir, '/opt/etherpad/var/ep_docx_html_customizer/profiles/worker-0');
+  delete settings.root;
+});
+
+test('conversion pool retries failed attempts', async () => {
+  let attempts = 0;
+  const pool = createConversionPool({
+    retries: 2,
+    runJob: async () => {
+      if (++attempts < 3) throw new Error('soffice exited with code 1');
+    },
+  });
+  await pool.convert({srcFile: 'a'});
+  assert.equal(attempts, 3);
+
+  attempts = 0;
+  const noRetry = createConversionPool({
+    retries: 2,
+    runJob: async () => {
+      attempts++;
+      throw new ConversionError('spawnFailed', 'could not start soffice: ENOENT');
+    },
+  });
+  await assert.rejects(noRetry.convert({srcFile: 'a'}), {code: 'spawnFailed'});
+  assert.equal(attempts, 1);
+
+  attempts = -10;
+  await assert.rejects(pool.convert({srcFile: 'b'}), /code 1/);
+  assert.equal(attempts, -7);
+});
+
+test('runSoffice kills conversions that exceed the timeout', {skip: process.platform === 'win32'}, async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ep-docx-converter-'));
+  t.after(() => fs.rmSync(dir, {recursive: true, force: true}));
+  const fakeSoffice = path.join(dir, 'soffice');
+  fs.writeFileSync(fakeSoffice, '#!/bin/sh\nsleep 30\n', {mode: 0o755});
+  settings.soffice = fakeSoffice;
+
+  const startedAt = Date.now();
+  await assert.rejects(runSoffice({
+    srcFile: path.join(dir, 'in.docx'),
+    outDir: dir,
+    convertTo: 'html',
+    profileDir: path.join(dir, 'profile'),
+    timeoutMs: 200,
+  }), {code: 'timeout', message: /timed out after 200 ms/});
+  assert.ok(Date.now() - startedAt < 5000);
+});
+
+test('runSoffice passes file names as argv and reports the exit status', {skip: process.platform === 'win32'}, async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ep-docx-converter-'));
+  t.after(() => fs.rmSync(dir, {recursive: true, force: true}));
+  const argsFile = path.join(dir, 'args.txt');
+  const fakeSoffice = path.join(dir, 'soffice');
+  fs.writeFileSync(fakeSoffice,
+      `#!/bin/sh\nprintf '%s\\n' "$@" > '${argsFile}'\necho 'Error: source file could not be loaded' >&2\nexit 3\n`,
+      {mode: 0o755});
+  settings.soffice = fakeSoffice;
+
+  const srcFile = path.join(dir, 'a "quoted" $(touch pwned) name.docx');
+  const err = await runSoffice({
+    srcFile,
+    outDir: dir,
+    convertTo: 'html',
+    infilter: 'writer_pdf_import',
+    profileDir: path.join(dir, 'profile'),
+    timeoutMs: 5000,
+  }).then(() => null, (e) => e);
+
+  assert.ok(err instanceof ConversionError);
+  assert.equal(err.code, 'exitStatus');
+  assert.equal(err.exitCode, 3);
+  assert.match(err.output, /could not be loaded/);
+  assert.deepEqual(err.toJSON(), {
+    code: 'exitStatus', message: 'soffice exited with status 3', exitCode: 3, signal: null,
+  });
+  const args = fs.readFileSync(argsFile, 'utf8').trim().split('\n');
+  assert.equal(args[args.length - 1], srcFile);
+  assert.ok(args.includes('--infilter=writer_pdf_import'));
+  assert.ok(args[0].startsWith('-env:UserInstallation=file://'));
+  assert.equal(fs.existsSync(path.join(dir, 'pwned')), false);
+  assert.equal(fs.existsSync('pwned'), false);
+});
+
+test('convertToFile returns the known output name inside a private directory', {skip: process.platform === 'win32'}, async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ep-docx-converter-'));
+  t.after(() => fs.rmSync(dir, {recursive: true, force: true}));
+  const fakeSoffice = path.join(dir, 'soffice');
+  fs.writeFileSync(fakeSoffice, [
+    '#!/bin/sh',
+    'while [ $# -gt 1 ]; do case "$1" in --outdir) out="$2"; shift;; esac; shift; done',
+    'name=$(basename "$1")',
+    '[ "$name" = "missing.docx" ] || echo "<p>converted</p>" > "$out/${name%.*}.html"',
+    '',
+  ].join('\n'), {mode: 0o755});
+  settings.soffice = fakeSoffice;
+
+  const [first, second] = await Promise.all([makeWorkDir(), makeWorkDir()]);
+  assert.notEqual(first, second);
+  fs.writeFileSync(path.join(first, 'document.docx'), 'docx');
+  fs.writeFileSync(path.join(second, 'missing.docx'), 'docx');
+
+  const output = await convertToFile(path.join(first, 'document.docx'), first, 'html');
+  assert.equal(output, path.join(first, 'document.html'));
+  assert.match(fs.readFileSync(output, 'utf8'), /converted/);
+  await assert.rejects(convertToFile(path.join(second, 'missing.docx'), second, 'html'), {code: 'noOutput'});
+  assert.deepEqual(fs.readdirSync(second), ['missing.docx']);
+
+  await Promise.all([removeWorkDir(first), removeWorkDir(second)]);
+  assert.equal(fs.existsSync(first), false);
+  assert.equal(fs.existsSync(second), false);
+});
@@ -0,0 +1,111 @@
+'use strict';
+
+const assert = require('node:assert/strict');
+const Module = require('node:module');
+const test = require('node:test');
+const {JSDOM} = require('jsdom');
+
+const originalLoad = Module._load;
+Module._load = function(request, parent, isMain) {
+  if (request === 'log4js') return {getLogger: () => console};
+  if (request === 'mime') return {getType: () => 'application/octet-stream'};
+  if (request === 'ep_etherpad-lite/node/utils/Settings') return {};
+  return originalLoad.call(this, request, parent, isMain);
+};
+const {exportHtmlAdditionalTagsWithData, rewriteExportDocument} = require('../export');
+const {DELIMITER, ZWSP} = require('../transform_common');
+Module._load = originalLoad;
+
+const rowMarker = (meta) => Buffer.from(JSON.stringify(meta)).toString('base64');
+
+test('rewrites exported table rows, images, links, and colors into semantic HTML', () => {
+  const img = encodeURIComponent('https://cdn.example/a.png');
+  const dom = new JSDOM([
+    '<body>Intro<br>',
+    `<span data-ep-docx-tbljson="${rowMarker({tblId: 't1', row: 0, cols: 2})}">`,
+    `A${DELIMITER}<span data-color="#336699">B</span></span><br>`,
+    `<span data-ep-docx-tbljson="${rowMarker({
+      tblId: 't1', row: 1, cols: 2, columnWidths: [40, 60],
+      cellBackgrounds: {1: '#ffff00'}, cellBorders: {0: ['top', 'bottom']},
+    })}">`,
+    `C${DELIMITER}<span data-font-size="16">D</span></span><br>`,
+    `${ZWSP}<span data-image="${img}"><span data-image-width="320px">${ZWSP}</span></span>${ZWSP}<br>`,
+    `${ZWSP}<span data-hyperlink="https://example.com/">Example</span>${ZWSP}<br>`,
+    '<span data-highlight="#ffff00" data-font-family="monospace">marked</span>',
+    '<span data-highlight="red;x" data-font-family="x;y">bad</span><br>',
+    '</body>',
+  ].join(''));
+  const {document} = dom.window;
+
+  assert.equal(rewriteExportDocument(document), true);
+  const rows = Array.from(document.querySelectorAll('table tr'))
+    .map((tr) => Array.from(tr.children).map((td) => td.textContent));
+  assert.deepEqual(rows, [['A', 'B'], ['C', 'D']]);
+  assert.equal(document.querySelectorAll('table').length, 1);
+  const [c, d] = document.querySelectorAll('table tr')[1].children;
+  assert.equal(c.getAttribute('width'), '40%');
+  assert.equal(d.getAttribute('width'), '60%');
+  assert.equal(d.style.backgroundColor, 'rgb(255, 255, 0)');
+  assert.match(c.getAttribute('style'), /border-left: none;/);
+  assert.doesNotMatch(c.getAttribute('style'), /border-top/);
+  assert.equal(document.querySelector('td span').style.color, 'rgb(51, 102, 153)');
+  assert.equal(document.querySelectorAll('td span')[1].style.fontSize, '16px');
+  assert.equal(document.querySelector('img').getAttribute('src'), 'https://cdn.example/a.png');
+  assert.equal(document.querySelector('img').getAttribute('width'), '320');
+  assert.equal(document.querySelector('a').getAttribute('href'), 'https://example.com/');
+  const [marked, bad] = document.querySelectorAll('body > span');
+  assert.equal(marked.style.backgroundColor, 'rgb(255, 255, 0)');
+  assert.equal(marked.style.fontFamily, 'monospace');
+  assert.equal(bad.getAttribute('style'), null);
+  assert.equal(document.body.textContent.includes(ZWSP), false);
+  assert.equal(document.querySelector('[data-ep-docx-tbljson], [data-image], [data-hyperlink], [data-highlight]'), null);
+});
+
+test('lists only exportable pool attributes with attribute-safe values', () => {
+  const pool = [['color', '#ff0000'], ['bold', 'true'], ['hyperlink', 'https://x.test/"><script>'],
+    ['image', encodeURIComponent('https://cdn.example/a.png')], ['hyperlink', 'https://x.test/?a=1&b=2']];
+  const tags = exportHtmlAdditionalTagsWithData('exportHtmlAdditionalTagsWithData', {
+    pool: {eachAttrib: (fn) => pool.forEach(([k, v]) => fn(k, v))},
+  });
+  assert.deepEqual(tags, [['color', '#ff0000'], ['image', pool[3][1]], ['hyperlink', pool[4][1]]]);
+
+  // Core writes the value unescaped; the link survives the rewrite with its query string.
+  const {document} = new JSDOM(`<body>${ZWSP}<span data-hyperlink="${pool[4][1]}">Query</span>${ZWSP}</body>`).window;
+  rewriteExportDocument(document);
+  assert.equal(document.querySelector('a').getAttribute('href'), 'https://x.test/?a=1&b=2');
+  assert.equal(document.querySelector('a').textContent, 'Query');
+});
+
+test('turns anchor attributes into named anchors next to the footnote link', () => {
+  const {document} = new JSDOM([
+    '<body><sup><span data-anchor="docx-fnref1"><span data-hyperlink="#docx-fn1">1</span></span></sup>',
+    '<span data-anchor="bad name">x</span></body>',
+  ].join('')).window;
+  rewriteExportDocument(document);
+  const a = document.querySelector('a[name="docx-fnref1"]');
+  assert.equal(a.id, 'docx-fnref1');
+  assert.equal(a.childNodes.length, 0);
+  assert.equal(a.nextSibling.getAttribute('href'), '#docx-fn1');
+  assert.equal(document.querySelectorAll('a[name]').length, 1);
+  assert.equal(document.querySelectorAll('[data-anchor]').length, 0);
+});
+
+test('exports merge metadata as colspan and rowspan', () => {
+  const merges = [{row: 0, col: 0, rowspan: 2, colspan: 2}];
+  const {document} = new JSDOM([
+    '<body>',
+    `<span data-ep-docx-tbljson="${rowMarker({tblId: 't', row: 0, cols: 3, merges, columnWidths: [20, 30, 50]})}">`,
+    `Merged${DELIMITER} ${DELIMITER}C</span><br>`,
+    `<span data-ep-docx-tbljson="${rowMarker({tblId: 't', row: 1, cols: 3, merges})}">`,
+    ` ${DELIMITER} ${DELIMITER}F</span><br>`,
+    '</body>',
+  ].join('')).window;
+  rewriteExportDocument(document);
+
+  const [first, second] = document.querySelectorAll('tr');
+  assert.deepEqual(Array.from(first.children).map((td) => td.textContent), ['Merged', 'C']);
+  assert.equal(first.children[0].getAttribute('colspan'), '2');
+  assert.equal(first.children[0].getAttribute('rowspan'), '2');
+  assert.equal(first.children[0].getAttribute('width'), '50%');
+  assert.deepEqual(Array.from(second.children).map((td) => td.textContent), ['F']);
+});
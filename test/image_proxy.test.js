@@ -0,0 +1,198 @@
+'use strict';
+
+const assert = require('node:assert/strict');
+const http = require('node:http');
+const Module = require('node:module');
+const {Readable} = require('node:stream');
+const test = require('node:test');
+
+const originalLoad = Module._load;
+Module._load = function(request, parent, isMain) {
+  if (request === 'log4js') return {getLogger: () => ({debug() {}, warn() {}})};
+  return originalLoad.call(this, request, parent, isMain);
+};
+const {
+  ImageProxyError, createImageFetcher, downloadImage, inspectImage, isForbiddenAddress, sniffImageType,
+} = require('../image_proxy');
+Module._load = originalLoad;
+
+const readBody = async (res) => {
+  let body = '';
+  for await (const chunk of res) body += chunk;
+  return body;
+};
+
+const PNG = Buffer.from('89504e470d0a1a0a0000000d49484452', 'hex');
+
+// A stub upstream on 127.0.0.1 reachable as img.test / redirect.test through an injected resolver.
+const withStubServer = async (fn) => {
+  const server = http.createServer((req, res) => {
+    const {port} = server.address();
+    if (req.url === '/image.png') {
+      res.writeHead(200, {'Content-Type': 'image/png'});
+      res.end(`host=${req.headers.host}`);
+    } else if (req.url === '/logo') {
+      res.writeHead(200, {'Content-Type': 'text/html'}); // wrong on purpose: the bytes decide
+      res.end(PNG);
+    } else if (req.url === '/page') {
+      res.writeHead(200, {'Content-Type': 'image/png'});
+      res.end('<html><script>alert(1)</script></html>');
+    } else if (req.url === '/to-private') {
+      res.writeHead(302, {Location: 'http://intranet.test/secret'});
+      res.end();
+    } else if (req.url === '/to-image') {
+      res.writeHead(301, {Location: `http://img.test:${port}/image.png`});
+      res.end();
+    } else if (req.url === '/loop') {
+      res.writeHead(302, {Location: '/loop'});
+      res.end();
+    } else {
+      res.writeHead(404);
+      res.end();
+    }
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  const lookups = [];
+  const fetcher = createImageFetcher({
+    lookup: async (hostname) => {
+      lookups.push(hostname);
+      const address = {'img.test': '127.0.0.1', 'redirect.test': '127.0.0.1', 'intranet.test': '10.0.0.5'}[hostname];
+      if (!address) throw Object.assign(new Error('not found'), {code: 'ENOTFOUND'});
+      return [{address, family: 4}];
+    },
+    // Let the stub server through; everything else keeps the real rules.
+    isForbiddenAddress: (address) => address !== '127.0.0.1' && isForbiddenAddress(address),
+    maxRedirects: 3,
+  });
+  try {
+    await fn({fetcher, lookups, port: server.address().port});
+  } finally {
+    await new Promise((resolve) => server.close(resolve));
+  }
+};
+
+const rejectsWith = (promise, code) => assert.rejects(promise, (err) => {
+  assert.ok(err instanceof ImageProxyError, err.message);
+  assert.equal(err.code, code);
+  return true;
+});
+
+test('classifies public and non-public IPv4 and IPv6 addresses', () => {
+  const cases = [
+    ['93.184.216.34', false],
+    ['8.8.8.8', false],
+    ['127.0.0.1', true],
+    ['10.1.2.3', true],
+    ['172.16.0.1', true],
+    ['172.32.0.1', false],
+    ['192.168.1.1', true],
+    ['169.254.169.254', true],
+    ['100.64.0.1', true],
+    ['0.0.0.0', true],
+    ['224.0.0.1', true],
+    ['255.255.255.255', true],
+    ['2606:2800:220:1::1', false],
+    ['::1', true],
+    ['::', true],
+    ['fd00::1', true],
+    ['fe80::1%eth0', true],
+    ['ff02::1', true],
+    ['::ffff:127.0.0.1', true],
+    ['::ffff:7f00:1', true],
+    ['::ffff:93.184.216.34', false],
+    ['64:ff9b::a00:1', true],
+    ['not-an-ip', true],
+  ];
+  for (const [address, expected] of cases) {
+    assert.equal(isForbiddenAddress(address), expected, address);
+  }
+});
+
+test('refuses numeric host spellings and non-public resolutions before connecting', async () => {
+  let lookedUp = false;
+  const fetcher = createImageFetcher({
+    lookup: async (hostname) => {
+      lookedUp = true;
+      return hostname === 'mixed.test' ?
+        [{address: '93.184.216.34', family: 4}, {address: '::1', family: 6}] :
+        [{address: '192.168.0.10', family: 4}];
+    },
+  });
+  await rejectsWith(fetcher.fetch('http://2130706433/a.png'), 'forbiddenAddress');
+  await rejectsWith(fetcher.fetch('http://0x7f.1/a.png'), 'forbiddenAddress');
+  await rejectsWith(fetcher.fetch('http://[::ffff:169.254.169.254]/latest'), 'forbiddenAddress');
+  assert.equal(lookedUp, false);
+  await rejectsWith(fetcher.fetch('http://router.test/a.png'), 'forbiddenAddress');
+  await rejectsWith(fetcher.fetch('http://mixed.test/a.png'), 'forbiddenAddress');
+  await rejectsWith(fetcher.fetch('ftp://example.com/a.png'), 'badUrl');
+  await rejectsWith(fetcher.fetch('not a url'), 'badUrl');
+});
+
+test('connects to the checked address and re-checks every redirect hop', async () => {
+  await withStubServer(async ({fetcher, lookups, port}) => {
+    // img.test does not exist in real DNS: reaching the stub proves the connection is pinned.
+    const res = await fetcher.fetch(`http://img.test:${port}/image.png`);
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.headers['content-type'], 'image/png');
+    assert.equal(await readBody(res), `host=img.test:${port}`);
+
+    lookups.length = 0;
+    const redirected = await fetcher.fetch(`http://redirect.test:${port}/to-image`);
+    assert.equal(await readBody(redirected), `host=img.test:${port}`);
+    assert.deepEqual(lookups, ['redirect.test', 'img.test']);
+
+    await rejectsWith(fetcher.fetch(`http://redirect.test:${port}/to-private`), 'forbiddenAddress');
+    await rejectsWith(fetcher.fetch(`http://img.test:${port}/loop`), 'tooManyRedirects');
+    await rejectsWith(fetcher.fetch(`http://missing.test:${port}/image.png`), 'dnsFailed');
+  });
+});
+
+test('sniffs raster image types from their leading bytes only', () => {
+  const cases = [
+    [PNG, 'image/png'],
+    [Buffer.from('ffd8ffe000104a464946', 'hex'), 'image/jpeg'],
+    [Buffer.from('GIF89a\x01\x00', 'latin1'), 'image/gif'],
+    [Buffer.from('RIFF\x24\x00\x00\x00WEBPVP8 ', 'latin1'), 'image/webp'],
+    [Buffer.from('\x00\x00\x00\x1cftypavif', 'latin1'), 'image/avif'],
+    [Buffer.from('BM\x36\x00', 'latin1'), 'image/bmp'],
+    [Buffer.from('<svg xmlns="http://www.w3.org/2000/svg">'), null],
+    [Buffer.from('<!DOCTYPE html><img src=x>'), null],
+    [Buffer.from('\x00\x00\x00\x1cftypmp42', 'latin1'), null],
+    [Buffer.alloc(0), null],
+  ];
+  for (const [bytes, expected] of cases) {
+    assert.equal(sniffImageType(bytes), expected, bytes.toString('latin1'));
+  }
+});
+
+test('checks the image signature and counts bytes while the body streams', async () => {
+  const chunked = (...chunks) => Readable.from(chunks.map((c) => Buffer.from(c)));
+
+  // The signature split across chunks is still recognised and nothing is lost.
+  const {type, stream} = await inspectImage(chunked(PNG.subarray(0, 3), PNG.subarray(3), 'rest'), {maxBytes: 100});
+  assert.equal(type, 'image/png');
+  assert.equal(Buffer.concat(await stream.toArray()).toString('hex'), `${PNG.toString('hex')}72657374`);
+
+  await rejectsWith(inspectImage(chunked('<html><body>not an image</body></html>'), {maxBytes: 100}), 'notAnImage');
+  await rejectsWith(inspectImage(chunked('GIF'), {maxBytes: 100}), 'notAnImage');
+  await rejectsWith(inspectImage(chunked(Buffer.alloc(8), PNG), {maxBytes: 12}), 'tooLarge');
+
+  // Past the limit after the type is known: the stream fails and the upstream is closed.
+  const upstream = chunked(PNG, Buffer.alloc(64), Buffer.alloc(64));
+  const late = await inspectImage(upstream, {maxBytes: 100});
+  await rejectsWith(late.stream.toArray(), 'tooLarge');
+  assert.equal(upstream.destroyed, true);
+});
+
+test('downloads only successful, small enough, real images', async () => {
+  await withStubServer(async ({fetcher, port}) => {
+    const download = (path, maxBytes = 1024) =>
+      downloadImage(`http://img.test:${port}${path}`, {maxBytes, fetch: fetcher.fetch});
+    const {type, buffer} = await download('/logo');
+    assert.equal(type, 'image/png');
+    assert.deepEqual(buffer, PNG);
+    await rejectsWith(download('/page'), 'notAnImage');
+    await rejectsWith(download('/missing'), 'upstream');
+    await rejectsWith(download('/logo', 8), 'tooLarge');
+  });
+});
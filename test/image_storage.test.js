@@ -0,0 +1,141 @@
+'use strict';
+
+const assert = require('node:assert/strict');
+const crypto = require('node:crypto');
+const fs = require('node:fs');
+const http = require('node:http');
+const Module = require('node:module');
+const os = require('node:os');
+const path = require('node:path');
+const test = require('node:test');
+
+const settings = {};
+// S3 calls made through the stubbed SDK; `existingKeys` answer HeadObject and `forbiddenKeys`
+// are refused the way S3 refuses callers without s3:ListBucket.
+const s3Calls = [];
+const existingKeys = new Set();
+const forbiddenKeys = new Set();
+let signedUrl = 'https://signed.example/';
+class FakeCommand {
+  constructor(input) { this.input = input; }
+}
+const s3Sdk = {
+  S3Client: class {
+    async send(command) {
+      s3Calls.push([command.constructor.name, command.input.Key]);
+      if (forbiddenKeys.has(command.input.Key)) {
+        throw Object.assign(new Error('Forbidden'), {name: 'Forbidden', $metadata: {httpStatusCode: 403}});
+      }
+      if (!existingKeys.has(command.input.Key)) {
+        throw Object.assign(new Error('not found'), {name: 'NotFound', $metadata: {httpStatusCode: 404}});
+      }
+      return {};
+    }
+  },
+  HeadObjectCommand: class HeadObjectCommand extends FakeCommand {},
+  PutObjectCommand: class PutObjectCommand extends FakeCommand {},
+};
+const originalLoad = Module._load;
+Module._load = function(request, parent, isMain) {
+  if (request === 'log4js') return {getLogger: () => ({debug() {}, info() {}, warn() {}, error() {}})};
+  if (request === 'ep_etherpad-lite/node/utils/Settings') return settings;
+  if (request === '@aws-sdk/client-s3') return s3Sdk;
+  if (request === '@aws-sdk/s3-request-presigner') return {getSignedUrl: async () => signedUrl};
+  return originalLoad.call(this, request, parent, isMain);
+};
+const imageStorage = require('../image_storage');
+Module._load = originalLoad;
+
+const PNG = Buffer.from('89504e470d0a1a0a0000000d49484452', 'hex');
+
+test('stores images on local disk and resolves only generated names', async (t) => {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'ep-docx-storage-'));
+  t.after(() => fs.rmSync(root, {recursive: true, force: true}));
+  Object.assign(settings, {
+    root,
+    ep_docx_html_customizer: {storage: {type: 'local', path: 'images'}},
+    ep_images_extended: {fileTypes: ['png', 'jpg'], maxFileSize: 1024},
+  });
+
+  const stored = await imageStorage.storeImage(PNG, 'image/png', 'media/image1.png', 'g.abc$My Pad');
+  const m = /^\/ep_docx_images\/([^/]+)\/([^/]+)$/.exec(stored);
+  assert.ok(m, stored);
+  assert.equal(m[1], 'g_abc_My_Pad');
+  const filePath = imageStorage.resolveLocalImage(m[1], m[2]);
+  assert.deepEqual(fs.readFileSync(filePath), PNG);
+  assert.equal(imageStorage.resolveLocalImage('..', m[2]), null);
+  assert.equal(imageStorage.resolveLocalImage(m[1], '../../etc/passwd'), null);
+});
+
+test('applies the ep_images_extended type and size limits', () => {
+  settings.ep_images_extended = {fileTypes: ['png', 'jpg'], maxFileSize: 8};
+  assert.match(imageStorage.checkImageLimits(PNG, 'image/png'), /maxFileSize/);
+  settings.ep_images_extended.maxFileSize = 1024;
+  assert.equal(imageStorage.checkImageLimits(PNG, 'image/png'), null);
+  assert.equal(imageStorage.checkImageLimits(PNG, 'image/jpeg'), null);
+  assert.match(imageStorage.checkImageLimits(PNG, 'image/gif'), /fileTypes/);
+  assert.match(imageStorage.checkImageLimits(PNG, 'text/html'), /unsupported/);
+  assert.equal(imageStorage.isAllowedImageType('image/jpeg'), true);
+  assert.equal(imageStorage.isAllowedImageType('image/webp'), false);
+  assert.equal(imageStorage.isAllowedImageType('text/html'), false);
+});
+
+test('names stored images by content hash and reuses them within the configured scope', async (t) => {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'ep-docx-dedupe-'));
+  t.after(() => fs.rmSync(root, {recursive: true, force: true}));
+  Object.assign(settings, {
+    root,
+    ep_docx_html_customizer: {storage: {type: 'local', path: 'images'}},
+    ep_images_extended: {},
+  });
+  const sha = crypto.createHash('sha256').update(PNG).digest('hex');
+
+  const first = await imageStorage.storeImage(PNG, 'image/png', 'a.png', 'pad1');
+  assert.equal(first, `/ep_docx_images/pad1/${sha}.png`);
+  assert.equal(await imageStorage.storeImage(PNG, 'image/png', 'b.png', 'pad1'), first);
+  assert.equal(await imageStorage.storeImage(PNG, 'image/png', 'a.png', 'pad2'), `/ep_docx_images/pad2/${sha}.png`);
+  assert.deepEqual(fs.readdirSync(path.join(root, 'images', 'pad1')), [`${sha}.png`]);
+  assert.ok(imageStorage.resolveLocalImage('pad1', `${sha}.png`));
+  assert.equal(imageStorage.resolveLocalImage('pad1', `${sha.slice(1)}.png`), null);
+
+  settings.ep_docx_html_customizer.dedupe = 'global';
+  assert.equal(await imageStorage.storeImage(PNG, 'image/png', 'a.png', 'pad3'), `/ep_docx_images/$shared/${sha}.png`);
+  assert.ok(imageStorage.resolveLocalImage('$shared', `${sha}.png`));
+  assert.equal(imageStorage.resolveLocalImage('$shared/..', `${sha}.png`), null);
+
+  settings.ep_docx_html_customizer.dedupe = 'off';
+  const fresh = await imageStorage.storeImage(PNG, 'image/png', 'a.png', 'pad1');
+  assert.match(fresh, /^\/ep_docx_images\/pad1\/[0-9a-f-]{36}\.png$/);
+  assert.equal(fs.readdirSync(path.join(root, 'images', 'pad1')).length, 2);
+
+  // S3: an object that already exists under the content key is reused without an upload.
+  settings.ep_docx_html_customizer = {
+    storage: {type: 's3_presigned', region: 'eu-west-1', bucket: 'b', publicURL: 'https://cdn.example/'},
+  };
+  existingKeys.add(`pad1/${sha}.png`);
+  assert.equal(await imageStorage.storeImage(PNG, 'image/png', 'a.png', 'pad1'), `https://cdn.example/pad1/${sha}.png`);
+  assert.deepEqual(s3Calls, [['HeadObjectCommand', `pad1/${sha}.png`]]);
+});
+
+test('uploads to S3 when HeadObject is refused instead of answered', async (t) => {
+  const puts = [];
+  const server = http.createServer((req, res) => {
+    puts.push(req.method);
+    req.resume();
+    req.on('end', () => res.end());
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => new Promise((resolve) => server.close(resolve)));
+  signedUrl = `http://127.0.0.1:${server.address().port}/upload`;
+  settings.ep_docx_html_customizer = {
+    storage: {type: 's3_presigned', region: 'eu-west-1', bucket: 'b', publicURL: 'https://cdn.example/'},
+  };
+  settings.ep_images_extended = {};
+  const sha = crypto.createHash('sha256').update(PNG).digest('hex');
+  s3Calls.length = 0;
+  forbiddenKeys.add(`pad4/${sha}.png`);
+
+  assert.equal(await imageStorage.storeImage(PNG, 'image/png', 'a.png', 'pad4'), `https://cdn.example/pad4/${sha}.png`);
+  assert.deepEqual(s3Calls, [['HeadObjectCommand', `pad4/${sha}.png`]]);
+  assert.deepEqual(puts, ['PUT']);
+});
@@ -0,0 +1,91 @@
+'use strict';
+
+const assert = require('node:assert/strict');
+const Module = require('node:module');
+const test = require('node:test');
+const {JSDOM} = require('jsdom');
+
+const sent = [];
+const sessioninfos = {
+  s1: {padId: 'pad1', author: 'a.importer'},
+  s2: {padId: 'pad1', author: 'a.other'},
+  s3: {padId: 'pad2', author: 'a.importer'},
+  s4: {padId: 'pad1', author: 'a.importer'},
+};
+const accessChecks = [];
+const originalLoad = Module._load;
+Module._load = function(request, parent, isMain) {
+  if (request === 'log4js') return {getLogger: () => ({debug() {}, info() {}, warn() {}, error() {}})};
+  if (request === 'ep_etherpad-lite/node/handler/PadMessageHandler') {
+    return {sessioninfos, handleCustomObjectMessage: async (msg, sessionID) => { sent.push({msg, sessionID}); }};
+  }
+  if (request === 'ep_etherpad-lite/node/db/SecurityManager') {
+    return {
+      checkAccess: async (padId, sessionCookie, token, userSettings) => {
+        accessChecks.push({padId, sessionCookie, token, userSettings});
+        return token === 't.importer' ? {accessStatus: 'grant', authorID: 'a.importer'} : {accessStatus: 'deny'};
+      },
+    };
+  }
+  return originalLoad.call(this, request, parent, isMain);
+};
+const importReport = require('../import_report');
+// PadMessageHandler is required when a report is sent, so keep the stub until the tests finish.
+test.after(() => { Module._load = originalLoad; });
+
+test('import report counts, caps warnings and records dropped content', () => {
+  const report = importReport.createImportReport('.docx');
+  assert.equal(report.isEmpty(), true);
+  report.count('images', 2);
+  report.count('imagesSkipped');
+  for (let i = 1; i <= 52; i++) report.warn(`Image ${i}: relative path not found`);
+
+  const {document} = new JSDOM(`<body>
+    <p style="letter-spacing: 2px">a</p><svg></svg><svg></svg>
+    <span style="background-color: yellow; color: red">b</span>
+  </body>`).window;
+  importReport.collectDroppedContent(document, report);
+
+  const json = report.toJSON();
+  assert.equal(json.format, '.docx');
+  assert.deepEqual(json.counts, {images: 2, imagesSkipped: 1});
+  assert.equal(json.warnings.length, 50);
+  assert.equal(json.omittedWarnings, 2);
+  assert.deepEqual(json.dropped, {'<svg> element': 2, 'letter-spacing style': 1});
+});
+
+// Runs fn the way Etherpad's import route would, behind trackImportRequest.
+const importing = (req, fn) => new Promise((resolve, reject) => {
+  importReport.trackImportRequest(req, {}, () => fn().then(resolve, reject));
+});
+
+test('import report goes only to the importing author\'s sockets on the pad', async () => {
+  const report = importReport.createImportReport('.odt');
+  report.count('tables');
+  const req = {cookies: {sessionID: 's.1', token: 't.importer'}, session: {user: {username: 'ann'}}};
+  await importing(req, () => importReport.sendImportReport('pad1', report));
+
+  assert.deepEqual(accessChecks, [
+    {padId: 'pad1', sessionCookie: 's.1', token: 't.importer', userSettings: {username: 'ann'}},
+  ]);
+  assert.deepEqual(sent.map((s) => s.sessionID), ['s1', 's4']);
+  assert.deepEqual(sent[0].msg, {
+    type: 'COLLABROOM',
+    data: {
+      type: 'CUSTOM',
+      payload: {
+        type: importReport.REPORT_MESSAGE_TYPE,
+        padId: 'pad1',
+        report: {format: '.odt', counts: {tables: 1}, warnings: [], omittedWarnings: 0, dropped: {}},
+      },
+    },
+  });
+});
+
+test('import report is not sent when the importing author is unknown', async () => {
+  sent.length = 0;
+  const report = importReport.createImportReport('.odt');
+  await importReport.sendImportReport('pad1', report);
+  await importing({cookies: {token: 't.forged'}}, () => importReport.sendImportReport('pad1', report));
+  assert.deepEqual(sent, []);
+});
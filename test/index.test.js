@@ -0,0 +1,72 @@
+'use strict';
+
+const assert = require('node:assert/strict');
+const http = require('node:http');
+const Module = require('node:module');
+const test = require('node:test');
+
+const settings = {
+  ep_docx_html_customizer: {storage: {type: 'local', path: 'images'}},
+  ep_images_extended: {maxFileSize: 1024},
+};
+const originalLoad = Module._load;
+Module._load = function(request, parent, isMain) {
+  if (request === 'log4js') return {getLogger: () => ({debug() {}, info() {}, warn() {}, error() {}})};
+  if (request === 'ep_etherpad-lite/node/utils/Settings') return settings;
+  if (request === 'ep_etherpad-lite/node/db/PadManager') {
+    return {isValidPadId: () => true, doesPadExist: async () => true};
+  }
+  if (request === 'ep_etherpad-lite/node/db/DB') return {get: async () => null};
+  if (request === 'ep_etherpad-lite/node/db/SecurityManager') {
+    return {checkAccess: async () => ({accessStatus: 'grant', authorID: 'a.1'})};
+  }
+  return originalLoad.call(this, request, parent, isMain);
+};
+const plugin = require('../index');
+// Route handlers require Etherpad modules lazily, so keep the stub until the tests finish.
+test.after(() => { Module._load = originalLoad; });
+
+// Just enough of Express to run the plugin's route handlers on a real socket.
+const withRoutes = async (fn) => {
+  const routes = new Map();
+  const app = {
+    get: (route, handler) => routes.set(`GET ${route}`, handler),
+    post: (route, handler) => routes.set(`POST ${route}`, handler),
+  };
+  plugin.expressCreateServer('expressCreateServer', {app});
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const handler = routes.get(`${req.method} ${url.pathname}`);
+    Object.assign(req, {query: Object.fromEntries(url.searchParams), session: {authorId: 'a.1'}, cookies: {}});
+    Object.assign(res, {
+      status: (code) => { res.statusCode = code; return res; },
+      set: (name, value) => { res.setHeader(name, value); return res; },
+      send: (body) => res.end(String(body)),
+      json: (body) => res.end(JSON.stringify(body)),
+    });
+    handler(req, res);
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  try {
+    await fn(server.address().port);
+  } finally {
+    await new Promise((resolve) => server.close(resolve));
+  }
+};
+
+test('answers oversized uploads with 413 instead of resetting the connection', async () => {
+  await withRoutes(async (port) => {
+    const res = await new Promise((resolve, reject) => {
+      const req = http.request({
+        port, method: 'POST', path: '/ep_docx_image_upload?padId=pad1', headers: {'Content-Type': 'image/png'},
+      }, resolve);
+      req.on('error', reject);
+      req.end(Buffer.alloc(64 * 1024));
+    });
+    let body = '';
+    for await (const chunk of res) body += chunk;
+    assert.equal(res.statusCode, 413);
+    assert.equal(res.headers.connection, 'close');
+    assert.equal(body, 'Payload too large');
+  });
+});
@@ -0,0 +1,100 @@
+'use strict';
+
+const assert = require('node:assert/strict');
+const Module = require('node:module');
+const test = require('node:test');
+
+const originalLoad = Module._load;
+Module._load = function(request, parent, isMain) {
+  if (request === 'log4js') return {getLogger: () => ({warn() {}})};
+  if (request === 'ep_etherpad-lite/node/utils/Settings') return {};
+  return originalLoad.call(this, request, parent, isMain);
+};
+const {
+  createDatabaseStore, createMemoryStore, createRateLimiter, rateLimitKey,
+} = require('../rate_limit');
+Module._load = originalLoad;
+
+test('allows maxRequests per client and window and reports when to retry', async () => {
+  let now = 60000;
+  const limiter = createRateLimiter({windowMs: 1000, maxRequests: 2, now: () => now});
+  assert.deepEqual(await limiter.hit('a'), {allowed: true, retryAfterMs: 0});
+  assert.deepEqual(await limiter.hit('a'), {allowed: true, retryAfterMs: 0});
+  now += 250;
+  assert.deepEqual(await limiter.hit('a'), {allowed: false, retryAfterMs: 750});
+  assert.equal((await limiter.hit('b')).allowed, true);
+  now += 750;
+  assert.equal((await limiter.hit('a')).allowed, true);
+});
+
+test('counts a weighted hit as that many requests', async () => {
+  const limiter = createRateLimiter({windowMs: 1000, maxRequests: 30, now: () => 0});
+  assert.equal((await limiter.hit('a', 20)).allowed, true);
+  assert.equal((await limiter.hit('a', 20)).allowed, false);
+  assert.equal((await limiter.hit('b', 31)).allowed, false);
+  assert.equal((await limiter.hit('c', 30)).allowed, true);
+  assert.equal((await limiter.hit('c')).allowed, false);
+});
+
+test('keeps at most maxClients counters in memory, dropping the least recently seen', async () => {
+  const store = createMemoryStore({maxClients: 2});
+  await store.increment('a', 0);
+  await store.increment('b', 0);
+  await store.increment('a', 0);
+  await store.increment('c', 0);
+  assert.equal(store.size(), 2);
+  assert.equal((await store.increment('a', 0)).count, 3);
+  assert.equal((await store.increment('b', 0)).count, 1);
+});
+
+test('shares counters through a database and fails open when it breaks', async () => {
+  const records = new Map();
+  const db = {get: async (k) => records.get(k), set: async (k, v) => { records.set(k, v); }};
+  const nodeA = createRateLimiter({maxRequests: 2, store: createDatabaseStore(db), now: () => 5});
+  const nodeB = createRateLimiter({maxRequests: 2, store: createDatabaseStore(db), now: () => 5});
+  assert.equal((await nodeA.hit('user:ann')).allowed, true);
+  assert.equal((await nodeB.hit('user:ann')).allowed, true);
+  assert.equal((await nodeA.hit('user:ann')).allowed, false);
+  assert.deepEqual([...records.keys()], ['ep_docx_html_customizer:ratelimit:user:ann']);
+
+  const broken = createRateLimiter({maxRequests: 0, store: createDatabaseStore({get: async () => { throw new Error('down'); }})});
+  assert.equal((await broken.hit('user:ann')).allowed, true);
+});
+
+test('removes database records of ended windows, whichever node wrote them', async () => {
+  const records = new Map();
+  const db = {
+    get: async (k) => records.get(k),
+    set: async (k, v) => { records.set(k, v); },
+    remove: async (k) => { records.delete(k); },
+    findKeys: async (pattern) => [...records.keys()].filter((k) => k.startsWith(pattern.replace(/\*$/, ''))),
+  };
+  const key = (client) => `ep_docx_html_customizer:ratelimit:${client}`;
+  // Left behind by a node that has since restarted.
+  records.set(key('ip:0'), {windowStart: 0, count: 4});
+  records.set('unrelated', {windowStart: 0});
+  const nodeA = createDatabaseStore(db);
+  const nodeB = createDatabaseStore(db);
+  await nodeA.increment('ip:1', 0);
+  await nodeA.increment('ip:2', 0);
+  await nodeA.increment('ip:3', 0);
+  // ip:2 is back in the next window on another node before nodeA cleans up.
+  await nodeB.increment('ip:2', 1000);
+  await nodeA.increment('ip:3', 1000);
+  await Promise.all([nodeA.sweep(), nodeB.sweep()]);
+  assert.deepEqual([...records.keys()].sort(), [key('ip:2'), key('ip:3'), 'unrelated']);
+  assert.deepEqual(records.get(key('ip:3')), {windowStart: 1000, count: 1});
+});
+
+test('counts requests against the user or the token\'s author before the IP address', async () => {
+  const db = {get: async (k) => ({'token2author:t.known': 'a.known'})[k]};
+  const forwarded = {headers: {'x-forwarded-for': '1.2.3.4'}, ip: '10.0.0.1'};
+  assert.equal(await rateLimitKey({...forwarded, session: {user: {username: 'ann'}}}, db), 'user:ann');
+  assert.equal(await rateLimitKey({...forwarded, session: {authorId: 'a.x'}}, db), 'author:a.x');
+  assert.equal(await rateLimitKey({...forwarded, cookies: {token: 't.known'}}, db), 'author:a.known');
+  // Made-up tokens do not get a limit of their own.
+  assert.equal(await rateLimitKey({...forwarded, cookies: {token: 't.forged'}}, db), 'ip:10.0.0.1');
+  assert.equal(await rateLimitKey(forwarded, db), 'ip:10.0.0.1');
+  const broken = {get: async () => { throw new Error('down'); }};
+  assert.equal(await rateLimitKey({...forwarded, cookies: {token: 't.known'}}, broken), 'ip:10.0.0.1');
+});
@@ -11,7 +11,10 @@ Module._load = function(request, parent, isMain) {
   if (request === 'mime') return {getType: () => 'application/octet-stream'};
   return originalLoad.call(this, request, parent, isMain);
 };
-const {customizeDocument, DELIMITER, ZWSP} = require('../transform_common');
+const {
+  convertColorsAndSizes, convertParagraphStyles, customizeDocument, flattenNestedTables, sanitizeDocument,
+  DELIMITER, ZWSP,
+} = require('../transform_common');
 const {collectContentPre} = require('../static/js/clipboard');
 Module._load = originalLoad;
 
@@ -64,7 +67,7 @@ test('collects Etherpad inline style classes preserved by table clipboard HTML',
   const calls = [];
   const state = {};
   collectContentPre('collectContentPre', {
-    cls: 'author-a.test b i u s sub sup',
+    cls: 'author-a.test b i u s sub sup highlight:#FFFF00 font-family:monospace',
     state,
     cc: {doAttrib: (...args) => calls.push(args)},
   });
@@ -75,9 +78,29 @@ test('collects Etherpad inline style classes preserved by table clipboard HTML',
     [state, 'strikethrough'],
     [state, 'sub'],
     [state, 'sup'],
+    [state, 'highlight::#ffff00'],
+    [state, 'font-family::monospace'],
   ]);
 });
 
+test('maps Word, Google Docs and pad highlights to highlight classes', () => {
+  const {document} = transform([
+    '<p><span style="mso-highlight:yellow">word</span>',
+    '<span style="background-color: rgb(0, 255, 255)">docs</span>',
+    '<span style="background: #ff00ff url(x.png)">shorthand</span>',
+    '<span style="background-color: transparent">clear</span>',
+    '<span style="background-color: #fff">white</span>',
+    '<span class="author-a-1" style="background-color: rgb(255, 200, 200)">author</span>',
+    '<span class="author-a-1 highlight:#00ff00" style="background-color: rgb(0, 255, 0)">pad</span></p>',
+  ].join(''));
+  const spans = Array.from(document.querySelectorAll('span'));
+  assert.deepEqual(spans.map((el) => (/highlight:\S+/.exec(el.className) || [''])[0]), [
+    'highlight:#ffff00', 'highlight:#00ffff', 'highlight:#ff00ff', '', '', '', 'highlight:#00ff00',
+  ]);
+  assert.equal(spans[1].style.backgroundColor, '');
+  assert.equal(spans[5].style.backgroundColor, 'rgb(255, 200, 200)');
+});
+
 test('emits copied Etherpad table rows as sibling lines and preserves nested styles', () => {
   const oldMeta = (row) => Buffer.from(JSON.stringify({
     tblId: 'source-table', row, cols: 2,
@@ -114,3 +137,394 @@ test('emits copied Etherpad table rows as sibling lines and preserves nested sty
   assert.ok(children[2].querySelector('sub'));
   assert.ok(children[2].querySelector('sup'));
 });
+
+test('flattens bullet, mixed, and Word pseudo-lists into native Etherpad list lines', () => {
+  const result = transform([
+    '<ul><li>Req A<ul><li>Detail<ol><li>Step</li></ol></li></ul></li><li><p>Req B</p></li></ul>',
+    '<p class="MsoListParagraphCxSpFirst" style="mso-list:l0 level1 lfo1">',
+    '<span style="mso-list:Ignore">·<span>&nbsp;&nbsp;</span></span>Word one</p>',
+    '<p class="MsoListParagraphCxSpLast" style="mso-list:l0 level2 lfo1">',
+    '<span style="mso-list:Ignore">o<span>&nbsp;</span></span>Word two</p>',
+  ].join(''));
+  const lines = Array.from(result.document.body.children)
+    .map((el) => `${el.className}|${el.textContent}`);
+  assert.deepEqual(lines, [
+    'list-bullet1|Req A',
+    'list-bullet2|Detail',
+    'list-number3|Step',
+    'list-bullet1|Req B',
+    'list-bullet1|Word one',
+    'list-bullet2|Word two',
+  ]);
+  assert.equal(result.document.querySelector('li ul, li ol'), null);
+});
+
+test('emits native numbered lines with start values when orderedLists is native', () => {
+  const dom = new JSDOM('<body><ol start="3"><li>Third<ol><li>Sub</li></ol></li>' +
+    '<li>Fourth</li></ol><ol><li>Restart</li></ol></body>');
+  customizeDocument(dom.window.document, {orderedLists: 'native'});
+  const lines = Array.from(dom.window.document.body.children)
+    .map((el) => `${el.className}|${el.getAttribute('start')}|${el.textContent}`);
+  assert.deepEqual(lines, [
+    'list-number1|3|Third',
+    'list-number2|1|Sub',
+    'list-number1|null|Fourth',
+    'list-number1|1|Restart',
+  ]);
+  assert.doesNotMatch(dom.window.document.body.textContent, /\d\. /);
+});
+
+test('maps font stacks and <font face> to the configured font families', () => {
+  const html = '<p style="font-family: Calibri, sans-serif">body ' +
+    '<span style="font-family: &quot;Courier New&quot;">code</span>' +
+    '<font face="Georgia">serif</font><span style="font-family: Wingdings">symbols</span>' +
+    '<span style="font-family: \'Fira Code\', monospace">fallback</span></p>';
+  const classes = (options) => {
+    const {document} = new JSDOM(`<body>${html}</body>`).window;
+    customizeDocument(document, options);
+    assert.equal(document.querySelector('[style*="font-family"], [face]'), null);
+    return Array.from(document.querySelectorAll('p, span, font')).map((el) => el.className);
+  };
+  assert.deepEqual(classes(), ['', 'font-family:monospace', 'font-family:serif', '', 'font-family:monospace']);
+  assert.deepEqual(classes({
+    fontFamilies: ['mono', 'sans-serif', 'serif'],
+    fontFamilyAliases: {'courier new': 'mono', 'Fira Code': 'mono'},
+    defaultFontFamily: 'serif',
+  }), ['font-family:sans-serif', 'font-family:mono', '', '', 'font-family:mono']);
+});
+
+test('maps pt, em, rem and % font sizes to the configured palette', () => {
+  const html = '<p style="font-size: 12pt">pt <span style="font-size: 1.5em">em</span>' +
+    '<span style="font-size: 50%">half</span></p><p><span style="font-size: 2.5rem">rem</span>' +
+    '<span style="font-size: 14px">default</span><span style="font-size: 9pt">small</span></p>';
+  const sizes = (options) => {
+    const {document} = new JSDOM(`<body>${html}</body>`).window;
+    customizeDocument(document, options);
+    return Array.from(document.querySelectorAll('p, span'))
+      .map((el) => (/font-size:(\d+)/.exec(el.className) || [null, ''])[1]);
+  };
+  // 12pt = 16px; 1.5em of it = 24px is a heading size and is skipped; 50% = 8px;
+  // 2.5rem = 35px; 14px is the pad's default size; 9pt = 12px.
+  assert.deepEqual(sizes(), ['16', '', '8', '', '35', '', '12']);
+  // 16px ties between 12 and 20 and takes the smaller, the default; 1.5em = 24px; 50% = 8px;
+  // 2.5rem = 30px; 14px and 9pt = 12px map to the default.
+  assert.deepEqual(sizes({
+    fontSizes: [10, 12, 20, 30], defaultFontSize: 12, pxPerPt: 4 / 3, headingFontSizes: [],
+  }), ['', '20', '10', '', '30', '', '']);
+});
+
+test('skips configured theme colours and heading sizes instead of the Colibris defaults', () => {
+  const html = '<p><span style="color: #64d29b; font-size: 24px">a</span>' +
+    '<span style="color: #cc0011; font-size: 30px">b</span></p>';
+  const classes = (options) => {
+    const {document} = new JSDOM(`<body>${html}</body>`).window;
+    customizeDocument(document, options);
+    return Array.from(document.querySelectorAll('span')).map((el) => el.className);
+  };
+  assert.deepEqual(classes(), ['', 'color:#cc0011 font-size:30']);
+  assert.deepEqual(classes({themeColors: ['rgb(200, 0, 0)'], themeColorTolerance: 40, headingFontSizes: [30]}),
+    ['color:#64d29b font-size:24', '']);
+  assert.deepEqual(classes({themeColors: [], headingFontSizes: []}),
+    ['color:#64d29b font-size:24', 'color:#cc0011 font-size:30']);
+});
+
+test('keeps colours and sizes inside imported headings when asked to', () => {
+  const html = '<h1><span style="color: #595959; font-size: 60px">Title</span></h1>';
+  const classes = (options) => {
+    const {document} = new JSDOM(`<body>${html}</body>`).window;
+    convertColorsAndSizes(document, options);
+    return document.querySelector('span').className;
+  };
+  assert.equal(classes({}), '');
+  assert.equal(classes({keepHeadingStyles: true, themeColors: [], headingFontSizes: []}),
+    'color:#595959 font-size:40');
+});
+
+test('maps Word and LibreOffice paragraph styles to headings, quotes and code', () => {
+  const html = [
+    '<p class="MsoTitle">Report</p>',
+    '<p class="subtitle-western">Draft</p>',
+    '<p class="MsoIntenseQuote">Said</p>',
+    '<p class="code-western">let x = 1;</p>',
+    '<p class="MsoClauseHeading">1. Scope</p>',
+    '<p class="MsoNormal">Body</p>',
+  ].join('');
+  const lines = (options) => {
+    const {document} = new JSDOM(`<body>${html}</body>`).window;
+    customizeDocument(document, options);
+    return Array.from(document.body.children).filter((el) => el.tagName !== 'BR').map((el) =>
+      `${el.tagName.toLowerCase()}${el.className ? `.${el.className}` : ''}>` +
+      `${el.firstElementChild ? el.firstElementChild.tagName.toLowerCase() : ''}|${el.textContent}`);
+  };
+  assert.deepEqual(lines(), [
+    'h1>|Report',
+    'h2>|Draft',
+    'ul.list-indent1>li|Said',
+    'div>code|let x = 1;',
+    'p.MsoClauseHeading>|1. Scope',
+    'p.MsoNormal>|Body',
+  ]);
+  assert.deepEqual(lines({paragraphStyles: {'Clause Heading': 'h3', 'Title': null, 'code': 'bogus'}}), [
+    'p.MsoTitle>|Report',
+    'h2>|Draft',
+    'ul.list-indent1>li|Said',
+    'div>code|let x = 1;',
+    'h3>|1. Scope',
+    'p.MsoNormal>|Body',
+  ]);
+});
+
+test('leaves web page classes and block containers alone', () => {
+  const html = [
+    '<div class="title"><p>Site</p></div>',
+    '<div class="quote">Plain quote</div>',
+    '<p class="code">x</p>',
+    '<div class="MsoQuote"><p>One</p><p>Two</p></div>',
+  ].join('');
+  const pasted = new JSDOM(`<body>${html}</body>`).window.document;
+  assert.equal(convertParagraphStyles(pasted, {officeClassesOnly: true}), 0);
+  // Imported documents use bare style names, but containers still keep their blocks.
+  const imported = new JSDOM(`<body>${html}</body>`).window.document;
+  assert.equal(convertParagraphStyles(imported), 2);
+  assert.deepEqual(Array.from(imported.body.children).map((el) => el.tagName.toLowerCase()),
+    ['div', 'blockquote', 'div', 'div']);
+  assert.equal(imported.querySelector('.MsoQuote').children.length, 2);
+});
+
+test('maps paragraph margins and block quotes to indent lines', () => {
+  const lines = (html, options) => {
+    const {document} = new JSDOM(`<body>${html}</body>`).window;
+    customizeDocument(document, options);
+    return Array.from(document.body.children).map((el) => `${el.className || el.tagName}|${el.textContent}`);
+  };
+  assert.deepEqual(lines([
+    '<p>flush</p>',
+    '<p style="margin-left: .5in">clause</p>',
+    '<p style="margin-left: 72pt">subclause</p>',
+    '<p style="text-indent: 36pt">first line</p>',
+    '<p style="margin-left: .5in; text-indent: -.25in">hanging</p>',
+    '<p class="MsoListParagraph">list paragraph</p>',
+    '<p style="margin-left: 1in; text-align: center">centered</p>',
+    '<blockquote><p>quote</p><blockquote>nested</blockquote></blockquote>',
+  ].join('')), [
+    'P|flush',
+    'list-indent1|clause',
+    'list-indent2|subclause',
+    'list-indent1|first line',
+    'list-indent1|hanging',
+    'list-indent1|list paragraph',
+    'CENTER|centered',
+    'BR|',
+    'list-indent1|quote',
+    'list-indent2|nested',
+  ]);
+  assert.deepEqual(lines('<p style="margin-left: 40px">a</p><p style="margin-left: 3em">b</p>',
+    {indentStep: 20, defaultFontSize: 10}), ['list-indent2|a', 'list-indent2|b']);
+  assert.deepEqual(lines('<p style="margin-left: 1in">a</p>', {indentStep: 0}), ['P|a']);
+});
+
+test('moves LibreOffice footnotes and endnotes into a linked Notes section', () => {
+  const {document, html} = transform([
+    '<p>Clause<a class="sdfootnoteanc" name="sdfootnote1anc" href="#sdfootnote1sym"><sup>1</sup></a>',
+    ' and term<a class="sdendnoteanc" name="sdendnote1anc" href="#sdendnote1sym"><sup>i</sup></a>.</p>',
+    '<div id="sdendnote1"><p class="sdendnote"><a class="sdendnotesym" name="sdendnote1sym" ',
+    'href="#sdendnote1anc">i</a>Endnote text.</p></div>',
+    '<div id="sdfootnote1"><p class="sdfootnote"><a class="sdfootnotesym" name="sdfootnote1sym" ',
+    'href="#sdfootnote1anc">1</a>See the statute.</p><p>Second paragraph.</p></div>',
+  ].join(''));
+
+  assert.equal(document.getElementById('sdfootnote1'), null);
+  assert.equal(document.querySelectorAll('sup').length, 2);
+  const refTarget = document.querySelector('sup > [class^="anchor:docx-fnref1-"]');
+  assert.ok(refTarget);
+  const suffix = refTarget.className.slice('anchor:docx-fnref1-'.length);
+  assert.match(refTarget.innerHTML, new RegExp(`hyperlink-%23docx-fn1-${suffix}`));
+  assert.doesNotMatch(html, /sdfootnote1sym|sdendnote1anc/);
+
+  const paragraphs = Array.from(document.body.children).map((el) => el.textContent.split(ZWSP).join(''));
+  const notesAt = paragraphs.indexOf('Notes');
+  assert.ok(notesAt > 0);
+  assert.deepEqual(paragraphs.slice(notesAt), [
+    'Notes', '1. See the statute.', 'Second paragraph.', 'i. Endnote text.',
+  ]);
+  const noteTarget = document.querySelector(`[class="anchor:docx-fn1-${suffix}"]`);
+  assert.match(noteTarget.innerHTML, new RegExp(`hyperlink-%23docx-fnref1-${suffix}`));
+
+  // A note cited twice: each reference has its own anchor, the note links back to the first.
+  const cited = new JSDOM([
+    '<body><p>A<a href="#sdfootnote1sym"><sup>1</sup></a> and again<a href="#sdfootnote1sym"><sup>1</sup></a></p>',
+    '<div id="sdfootnote1"><p><a href="#sdfootnote1anc">1</a>Once.</p></div></body>',
+  ].join('')).window.document;
+  customizeDocument(cited);
+  const refs = Array.from(cited.querySelectorAll('sup > [class^="anchor:docx-fnref1-"]')).map((el) => el.className);
+  assert.equal(refs.length, 2);
+  assert.equal(new Set(refs).size, 2);
+  assert.match(refs[1], /-2$/);
+  const backLink = cited.querySelector('[class^="anchor:docx-fn1-"]');
+  assert.match(backLink.innerHTML, new RegExp(`hyperlink-%23${refs[0].slice('anchor:'.length)}(?![-\\w])`));
+
+  // A second paste into the same pad gets its own ids and the localised heading.
+  const dom = new JSDOM('<body><p>More<a href="#sdfootnote1sym"><sup>1</sup></a></p></body>');
+  customizeDocument(dom.window.document, {notesHeading: 'Anmerkungen'});
+  const second = dom.window.document.querySelector('sup > [class^="anchor:docx-fnref1-"]');
+  assert.notEqual(second.className, refTarget.className);
+  assert.match(dom.window.document.body.textContent, /Anmerkungen/);
+});
+
+test('carries cell shading, border presence and column widths into tbljson metadata', () => {
+  const {document} = transform([
+    '<table border="1"><colgroup><col width="1*"><col width="3*"></colgroup>',
+    '<tr><td style="background-color: #ff0000">Late</td><td bgcolor="#00ff00">On track</td></tr>',
+    '<tr><td rowspan="2" style="background: yellow; border: 1px solid #000; border-left: none">Risk</td>',
+    '<td style="border-top: 1px solid #000; border-bottom: 0.5pt solid #000">Note</td></tr>',
+    '<tr><td>Last</td></tr>',
+    '</table>',
+  ].join(''));
+
+  const metas = Array.from(document.body.children).map((line) => {
+    const cls = line.querySelector('[class*="tbljson-"]').className.match(/tbljson-(\S+)/)[1];
+    return JSON.parse(Buffer.from(cls, 'base64').toString());
+  });
+  assert.equal(metas.length, 3);
+  metas.forEach((meta) => assert.deepEqual(meta.columnWidths, [25, 75]));
+  assert.deepEqual(metas[0].cellBackgrounds, {0: '#ff0000', 1: '#00ff00'});
+  assert.equal(metas[0].cellBorders, undefined);
+  assert.deepEqual(metas[1].cellBackgrounds, {0: '#ffff00'});
+  assert.deepEqual(metas[1].cellBorders, {0: ['top', 'right', 'bottom'], 1: ['top', 'bottom']});
+  // The rowspan continuation keeps the merged cell's shading.
+  assert.deepEqual(metas[2].cellBackgrounds, {0: '#ffff00'});
+});
+
+const rowMetas = (document) => Array.from(document.body.children).map((line) => {
+  const cls = line.querySelector('[class*="tbljson-"]').className.match(/tbljson-(\S+)/)[1];
+  return JSON.parse(Buffer.from(cls, 'base64').toString());
+});
+
+test('records colspan and rowspan regions as merge metadata on every covered row', () => {
+  const {document} = transform([
+    '<table>',
+    '<tr><th colspan="3">Quarterly status</th></tr>',
+    '<tr><td rowspan="2">Team A</td><td>Q1</td><td>Q2</td></tr>',
+    '<tr><td>Q3</td><td>Q4</td></tr>',
+    '<tr><td>Team B</td><td colspan="2">All year</td></tr>',
+    '</table>',
+  ].join(''));
+
+  const metas = rowMetas(document);
+  assert.deepEqual(metas.map((m) => m.merges), [
+    [{row: 0, col: 0, rowspan: 1, colspan: 3}],
+    [{row: 1, col: 0, rowspan: 2, colspan: 1}],
+    [{row: 1, col: 0, rowspan: 2, colspan: 1}],
+    [{row: 3, col: 1, rowspan: 1, colspan: 2}],
+  ]);
+  // Covered positions stay as empty cells so every line has `cols` cells.
+  metas.forEach((m) => assert.equal(m.cols, 3));
+  const cells = document.body.children[2].textContent.split(DELIMITER);
+  assert.equal(cells.length, 3);
+  assert.equal(cells[0].trim(), '');
+});
+
+test('keeps merges of rows copied from the pad when pasting them back', () => {
+  const copiedRow = (row, text, merges) => {
+    const meta = Buffer.from(JSON.stringify({
+      tblId: 'old', row, cols: 2, merges, cellBackgrounds: {0: '#ff0000'},
+    })).toString('base64');
+    return `<div class="ace-line"><table class="dataTable" data-tblid="old" data-row="${row}"><tbody><tr>` +
+      `<td><span class="tbljson-${meta} tblCell-0">${text}</span></td><td><span>&nbsp;</span></td>` +
+      '</tr></tbody></table></div>';
+  };
+  const merge = {row: 4, col: 0, rowspan: 3, colspan: 2};
+  // Rows 5 and 6 of a region that starts at row 4.
+  const {document} = transform(copiedRow(5, 'x', [merge]) + copiedRow(6, 'y', [merge]));
+
+  const metas = rowMetas(document);
+  assert.equal(metas.length, 2);
+  metas.forEach((m) => {
+    assert.deepEqual(m.merges, [{row: 0, col: 0, rowspan: 2, colspan: 2}]);
+    assert.deepEqual(m.cellBackgrounds, {0: '#ff0000'});
+  });
+});
+
+const NESTED_FORM = [
+  '<table>',
+  '<tr><td>Applicant</td><td><table><tr><td>Name</td><td>Ada</td></tr><tr><td>Born</td><td>1815</td></tr></table></td></tr>',
+  '<tr><td>Signed</td><td>Yes</td></tr>',
+  '</table>',
+].join('');
+
+const lineCells = (document) => Array.from(document.body.children)
+  .map((line) => line.textContent.split(DELIMITER).map((c) => c.replace(/\u00A0/g, ' ').trim()));
+
+test('inlines nested tables as delimited text by default', () => {
+  const dom = new JSDOM(`<body>${NESTED_FORM}</body>`);
+  customizeDocument(dom.window.document);
+  assert.deepEqual(lineCells(dom.window.document), [
+    ['Applicant', 'Name | Ada; Born | 1815'],
+    ['Signed', 'Yes'],
+  ]);
+});
+
+test('lifts nested tables out after the row that contained them', () => {
+  const dom = new JSDOM(`<body>${NESTED_FORM}</body>`);
+  customizeDocument(dom.window.document, {nestedTables: 'lift'});
+  const {document} = dom.window;
+  assert.deepEqual(lineCells(document), [
+    ['Applicant', ''],
+    ['Name', 'Ada'],
+    ['Born', '1815'],
+    ['Signed', 'Yes'],
+  ]);
+  const tblIds = rowMetas(document).map((m) => m.tblId);
+  assert.equal(tblIds[1], tblIds[2]);
+  assert.equal(new Set(tblIds).size, 3);
+});
+
+test('shortens row spans that cross the split when lifting a nested table', () => {
+  const {document} = new JSDOM([
+    '<body><table>',
+    '<tr><td rowspan="3">Owner</td><td>Plan<table><tr><td>Step</td></tr></table></td><td rowspan="2">Note</td></tr>',
+    '<tr><td>Budget</td></tr>',
+    '<tr><td>Risk</td><td>Low</td></tr>',
+    '</table></body>',
+  ].join('')).window;
+  assert.equal(flattenNestedTables(document, 'lift'), 1);
+
+  const tables = Array.from(document.querySelectorAll('table'));
+  assert.equal(tables.length, 3);
+  const shape = (table) => Array.from(table.rows).map((tr) =>
+    Array.from(tr.cells).map((td) => `${td.textContent}:${td.rowSpan}`));
+  assert.deepEqual(shape(tables[0]), [['Owner:1', 'Plan:1', 'Note:1']]);
+  assert.deepEqual(shape(tables[1]), [['Step:1']]);
+  assert.deepEqual(shape(tables[2]), [[':2', 'Budget:1', ':1'], ['Risk:1', 'Low:1']]);
+});
+
+test('turns nested tables into a bulleted summary', () => {
+  const dom = new JSDOM(`<body>${NESTED_FORM}</body>`);
+  customizeDocument(dom.window.document, {nestedTables: 'bullets'});
+  const cells = lineCells(dom.window.document);
+  assert.equal(cells.length, 2);
+  assert.equal(cells[0][0], 'Applicant');
+  assert.match(cells[0][1], /^• Name \| Ada\s*• Born \| 1815$/);
+});
+
+test('removes scripts, event handlers and script URLs from uploaded markup', () => {
+  const dom = new JSDOM([
+    '<head><meta http-equiv="refresh" content="0;url=https://evil.example"><base href="https://evil.example/"></head>',
+    '<body><p onclick="steal()">Text<script>steal()</script></p>',
+    '<a href=" java\tscript:steal()">bad</a><a href="https://example.com/">good</a>',
+    '<img src="data:image/png;base64,iVBORw0KGgo=" onerror="steal()"><img src="data:text/html,<b>x</b>">',
+    '<iframe srcdoc="<script>steal()</script>"></iframe></body>',
+  ].join(''));
+  const {document} = dom.window;
+  assert.equal(sanitizeDocument(document), 8);
+  assert.equal(document.querySelector('script, meta, base'), null);
+  assert.equal(document.querySelector('p').hasAttribute('onclick'), false);
+  const [bad, good] = document.querySelectorAll('a');
+  assert.equal(bad.hasAttribute('href'), false);
+  assert.equal(good.getAttribute('href'), 'https://example.com/');
+  const [dataImage, dataPage] = document.querySelectorAll('img');
+  assert.equal(dataImage.getAttribute('src'), 'data:image/png;base64,iVBORw0KGgo=');
+  assert.equal(dataPage.hasAttribute('src'), false);
+  // Unsupported elements stay for the import report.
+  assert.ok(document.querySelector('iframe'));
+});
@@ -5,12 +5,15 @@
  *
  * The function exported here receives a DOM `document` (real browser DOM or jsdom) and mutates it
  * in-place, applying the same set of conversions we perform for DOCX import:
+ *   • Word/LibreOffice paragraph styles (Title, Quote, Code, …) → headings, quotes, code lines.
  *   • Line-break insertion around headings.
  *   • Alignment wrapper (<center>, <right>, etc.).
- *   • Ordered-list flattening.
+ *   • List flattening (<ul>/<ol>, Word pseudo-lists) into one line per item.
  *   • Image span replacement compatible with ep_image_insert.
+ *   • Footnotes/endnotes → superscript links and a trailing "Notes" section.
  *   • Hyperlink <a> → <span class="hyperlink-…"> conversion.
  *   • Basic colour & size mapping.
+ *   • Nested tables inlined, lifted out or turned into bullets (options.nestedTables).
  *   • Table → tbljson-… lines (compatible with ep_tables5).
  *
  * The implementation is a trimmed copy of the logic that already existed in index.js, but stripped
@@ -19,6 +22,8 @@
  * options.env flag – it is executed only on the server side.
  */
 
+const {declaredColor, parseColorToRgb, rgbToHexColor} = require('./color');
+
 // We intentionally avoid unconditional `require()` of Node modules so that this file can be
 // bundled for the browser without pulling in heavy stubs.
 let fs, path, mime;
@@ -58,6 +63,14 @@ const enc = (s) => {
   return s;
 };
 
+// Base64 decode helper (URL-safe), the inverse of enc()
+const dec = (s) => {
+  const b64 = s.replace(/-/g, '+').replace(/_/g, '/');
+  if (typeof atob === 'function') return atob(b64);
+  if (typeof Buffer === 'function') return Buffer.from(b64, 'base64').toString();
+  return s;
+};
+
 // Same delimiter used by ep_tables5
 const DELIMITER = '\u241F';
 const ZWSP = '\u200B';
@@ -131,6 +144,80 @@ async function uploadImageToS3Browser(blob, filename, padId) {
   }
 }
 
+/**
+ * Store an image from the browser with the backend the server announced in clientVars: the
+ * plugin's /ep_docx_image_upload endpoint for local storage, ep_images_extended's S3 presign
+ * endpoint otherwise.
+ * @param {Blob} blob - The image blob
+ * @param {string} filename - The filename to use
+ * @param {string} padId - The pad ID
+ * @returns {Promise<string|null>} - The image URL or null if failed
+ */
+async function uploadImageBrowser(blob, filename, padId) {
+  const vars = (typeof clientVars !== 'undefined' && clientVars.ep_docx_html_customizer) || {};
+  if (vars.imageStorage !== 'local') return uploadImageToS3Browser(blob, filename, padId);
+  try {
+    const basePath = window.location.pathname.split('/p/')[0] || '';
+    const queryParams = new URLSearchParams({padId, name: filename});
+    const resp = await fetch(`${basePath}/ep_docx_image_upload?${queryParams}`, {
+      method: 'POST',
+      headers: {'Content-Type': blob.type},
+      body: blob,
+      credentials: 'same-origin',
+    });
+    if (!resp.ok) throw new Error(`upload failed: ${resp.status}`);
+    const json = await resp.json();
+    return (json && json.url) || null;
+  } catch (error) {
+    console.warn('[transform_common] local image upload failed:', error);
+    return null;
+  }
+}
+
+// URLs per /ep_docx_image_import request. The route in index.js refuses larger requests, so
+// the browser batches by the same number.
+const MAX_REMOTE_IMAGES_PER_REQUEST = 50;
+
+/**
+ * Have the server fetch remote images and store them for the pad, so the bytes do not pass
+ * through the browser (browser environment).
+ * @param {string[]} urls - http(s) image URLs
+ * @param {string} padId - The pad ID
+ * @returns {Promise<Array<string|null>|null>} The stored URL for each of `urls` (null where the
+ *     server could not import it), or null if the endpoint is unavailable.
+ */
+async function importRemoteImagesBrowser(urls, padId) {
+  try {
+    const basePath = window.location.pathname.split('/p/')[0] || '';
+    const stored = [];
+    for (let i = 0; i < urls.length; i += MAX_REMOTE_IMAGES_PER_REQUEST) {
+      const batch = urls.slice(i, i + MAX_REMOTE_IMAGES_PER_REQUEST);
+      const resp = await fetch(`${basePath}/ep_docx_image_import`, {
+        method: 'POST',
+        headers: {'Content-Type': 'application/json'},
+        body: JSON.stringify({padId, urls: batch}),
+        credentials: 'same-origin',
+      });
+      if (!resp.ok) {
+        // Unavailable from the start: let the caller handle every image itself.
+        if (!i) throw new Error(`import failed: ${resp.status}`);
+        batch.forEach(() => stored.push(null));
+        continue;
+      }
+      const json = await resp.json();
+      const images = (json && Array.isArray(json.images)) ? json.images : [];
+      batch.forEach((url, j) => {
+        if (images[j] && images[j].error) console.warn('[transform_common] remote image not imported:', url, images[j].error);
+        stored.push((images[j] && images[j].url) || null);
+      });
+    }
+    return stored;
+  } catch (error) {
+    console.warn('[transform_common] server-side image import unavailable:', error);
+    return null;
+  }
+}
+
 // Add a helper that performs a CORS fetch with automatic same-origin proxy fallback.
 // It mirrors the logic previously duplicated in clipboard.js so other plugins (for
 // example ep_images_extended) can reuse it without copy-pasting.
@@ -174,9 +261,1122 @@ if (typeof window !== 'undefined' && typeof window.fetchWithCorsProxy !== 'funct
   window.fetchWithCorsProxy = fetchWithCorsProxy;
 }
 
+// Etherpad's contentcollector refuses list levels deeper than this.
+const MAX_LIST_LEVEL = 16;
+
+/**
+ * Rebuild Word's clipboard pseudo-lists (<p class="MsoListParagraph…" style="mso-list:l0 level2 lfo1">
+ * with a hidden "mso-list:Ignore" marker span) as real nested <ul>/<ol> trees so that
+ * convertLists() can treat them like any other list.
+ * @param {Document} document
+ * @returns {boolean} true if at least one pseudo-list was rebuilt
+ */
+function convertWordPseudoLists(document) {
+  const isPseudoItem = (el) => {
+    if (!el || !el.tagName || el.tagName.toLowerCase() !== 'p') return false;
+    if (/(?:^| )MsoListParagraph/i.test(el.className || '') &&
+        el.querySelector('[style*="mso-list"]')) return true;
+    return /mso-list\s*:\s*l\d+\s+level\d+/i.test(el.getAttribute('style') || '');
+  };
+  const nextElement = (node) => {
+    let n = node.nextSibling;
+    while (n && n.nodeType === 3 && !n.textContent.trim()) n = n.nextSibling;
+    return n && n.nodeType === 1 ? n : null;
+  };
+
+  let converted = false;
+  Array.from(document.querySelectorAll('p')).forEach((first) => {
+    // Only start a group at the first paragraph of a run; later items were consumed already.
+    if (!first.parentNode || !isPseudoItem(first)) return;
+    let prev = first.previousSibling;
+    while (prev && prev.nodeType === 3 && !prev.textContent.trim()) prev = prev.previousSibling;
+    if (isPseudoItem(prev)) return;
+
+    const group = [first];
+    for (let n = nextElement(first); isPseudoItem(n); n = nextElement(n)) group.push(n);
+
+    const roots = [];
+    const stack = []; // stack[i] = open list for level i + 1
+    group.forEach((p) => {
+      const levelMatch = /level(\d+)/i.exec(p.getAttribute('style') || '');
+      const level = Math.max(1, Math.min(MAX_LIST_LEVEL, levelMatch ? parseInt(levelMatch[1], 10) : 1));
+
+      const marker = p.querySelector('[style*="mso-list:Ignore"], [style*="mso-list: Ignore"]');
+      const markerText = marker ? marker.textContent.trim() : '';
+      if (marker) marker.parentNode.removeChild(marker);
+      const tag = /^\(?([0-9]+|[a-z]{1,4})[.)]$/i.test(markerText) ? 'ol' : 'ul';
+
+      while (stack.length > level) stack.pop();
+      // Switching between bullets and numbers at the same level starts a new sibling list.
+      if (stack.length === level && stack[level - 1].tagName.toLowerCase() !== tag) stack.pop();
+      while (stack.length < level) {
+        const list = document.createElement(tag);
+        const parentList = stack[stack.length - 1];
+        if (parentList) {
+          const lastLi = parentList.lastElementChild;
+          (lastLi && lastLi.tagName.toLowerCase() === 'li' ? lastLi : parentList).appendChild(list);
+        } else {
+          roots.push(list);
+        }
+        stack.push(list);
+      }
+      const current = stack[level - 1];
+      const numeric = /^\(?([0-9]+)[.)]$/.exec(markerText);
+      if (numeric && !current.children.length) current.setAttribute('start', numeric[1]);
+
+      const li = document.createElement('li');
+      while (p.firstChild) li.appendChild(p.firstChild);
+      current.appendChild(li);
+    });
+
+    roots.forEach((list) => first.parentNode.insertBefore(list, first));
+    group.forEach((p) => p.parentNode && p.parentNode.removeChild(p));
+    converted = true;
+  });
+  return converted;
+}
+
+/**
+ * Flatten every <ul>/<ol> tree (any depth, mixed nesting) into one line per item.
+ *
+ * Bullets become Etherpad's native list lines (<ul class="list-bulletN"><li>…</li></ul>, the
+ * same shape Etherpad exports), where N is the nesting level. Ordered items become native
+ * list-numberN lines when `options.orderedLists` is "native" or when their tree also contains
+ * bullets, so the whole tree keeps its indent levels. The first line of every source <ol>
+ * carries its `start` value, which keeps restart points (a new list starting again at 1, or
+ * Word's "continue from 5") intact. Otherwise ordered items keep the literal "1. " prefix inside
+ * a <div>, the fallback for pads without list support. Lists inside tables always use literal
+ * prefixes because a table row is a single pad line.
+ *
+ * @param {Document} document
+ * @param {object} [options]
+ * @param {'literal'|'native'} [options.orderedLists='literal']
+ * @returns {boolean} true if at least one list was converted
+ */
+function convertLists(document, options = {}) {
+  const nativeOrderedMode = options.orderedLists === 'native';
+  let modified = convertWordPseudoLists(document);
+
+  const isList = (el) => el && el.tagName && ['ul', 'ol'].includes(el.tagName.toLowerCase());
+  const isItem = (el) => el && el.tagName && el.tagName.toLowerCase() === 'li';
+
+  const flattenList = (listNode, depth, lines, opts) => {
+    const ordered = listNode.tagName.toLowerCase() === 'ol';
+    const startAttr = parseInt(listNode.getAttribute('start') || '1', 10);
+    let counter = isNaN(startAttr) ? 1 : startAttr;
+    let firstLine = true;
+
+    Array.from(listNode.children).forEach((child) => {
+      if (isList(child)) {
+        // Word sometimes nests a list directly inside another list to skip a level.
+        flattenList(child, depth + 1, lines, opts);
+        return;
+      }
+      if (!isItem(child)) return;
+
+      // Move (not clone) the item content so element references held by later phases stay live.
+      const item = child;
+      const nestedLists = Array.from(item.children).filter(isList);
+      nestedLists.forEach((nested) => item.removeChild(nested));
+
+      const hasContent = (item.textContent || '').trim() !== '' || item.querySelector('img, br');
+      if (hasContent) {
+        const level = Math.min(MAX_LIST_LEVEL, depth + 1);
+        const content = document.createDocumentFragment();
+        if (item.childNodes.length === 1 && item.firstChild.tagName &&
+            item.firstChild.tagName.toLowerCase() === 'p') {
+          const innerP = item.firstChild;
+          while (innerP.firstChild) content.appendChild(innerP.firstChild);
+        } else {
+          while (item.firstChild) content.appendChild(item.firstChild);
+        }
+
+        if (opts.literal || (ordered && !opts.nativeOrdered)) {
+          const prefixSpan = document.createElement('span');
+          prefixSpan.textContent = ordered ? `${counter}. ` : '• ';
+          const line = document.createElement('div');
+          line.appendChild(content);
+          line.insertBefore(prefixSpan, line.firstChild);
+          if (depth > 0) line.style.marginLeft = `${depth * 1.5}em`;
+          lines.push(line);
+        } else {
+          const wrapper = document.createElement(ordered ? 'ol' : 'ul');
+          wrapper.className = `list-${ordered ? 'number' : 'bullet'}${level}`;
+          if (ordered && firstLine) wrapper.setAttribute('start', String(counter));
+          const li = document.createElement('li');
+          li.appendChild(content);
+          wrapper.appendChild(li);
+          lines.push(wrapper);
+        }
+        counter += 1;
+        firstLine = false;
+      }
+      nestedLists.forEach((nested) => flattenList(nested, depth + 1, lines, opts));
+    });
+  };
+
+  // Lines that already have Etherpad's list shape (e.g. from convertIndentation) stay as they are.
+  const isPadListLine = (list) => /(?:^| )list-[a-z]+\d+(?: |$)/.test(list.className) &&
+    list.children.length === 1 && !list.querySelector('ul, ol');
+  const rootLists = Array.from(document.querySelectorAll('ul, ol'))
+    .filter((list) => !list.parentNode.closest || !list.parentNode.closest('ul, ol'))
+    .filter((list) => !isPadListLine(list));
+  rootLists.forEach((list) => {
+    const lines = [];
+    flattenList(list, 0, lines, {
+      literal: !!list.closest('table'),
+      nativeOrdered: nativeOrderedMode || list.tagName.toLowerCase() === 'ul' || !!list.querySelector('ul'),
+    });
+    const frag = document.createDocumentFragment();
+    lines.forEach((line) => frag.appendChild(line));
+    list.parentNode.replaceChild(frag, list);
+    modified = true;
+  });
+  return modified;
+}
+
+/* ───────────── Untrusted markup ───────────── */
+
+// Elements that only run code or change how the rest of the page is loaded. Unsupported content
+// such as <iframe> or <svg> stays for the import report; Etherpad drops it later.
+const SCRIPT_ELEMENTS = 'script, noscript, template, style, link, meta, base';
+const URL_ATTRIBUTES = ['href', 'src', 'action', 'formaction', 'xlink:href'];
+const SCRIPT_URL_RE = /^(?:javascript|vbscript|data):/i;
+const DATA_IMAGE_RE = /^data:image\/(?:png|jpe?g|gif|webp|bmp);/i;
+
+/**
+ * Remove scripts, event handler attributes and script URLs from an uploaded HTML or Markdown
+ * document. Office conversions do not need this: LibreOffice writes no active content.
+ * @param {Document} document
+ * @returns {number} number of elements and attributes removed
+ */
+function sanitizeDocument(document) {
+  let removed = 0;
+  document.querySelectorAll(SCRIPT_ELEMENTS).forEach((el) => {
+    el.remove();
+    removed++;
+  });
+  document.querySelectorAll('*').forEach((el) => {
+    Array.from(el.attributes).forEach((attr) => {
+      const name = attr.name.toLowerCase();
+      let unsafe = name.startsWith('on') || name === 'srcdoc';
+      if (URL_ATTRIBUTES.includes(name)) {
+        // Browsers ignore whitespace and control characters inside the scheme.
+        const url = attr.value.replace(/[\0-\x20]/g, '');
+        unsafe = SCRIPT_URL_RE.test(url) && !(name === 'src' && el.tagName === 'IMG' && DATA_IMAGE_RE.test(url));
+      }
+      if (unsafe) {
+        el.removeAttribute(attr.name);
+        removed++;
+      }
+    });
+  });
+  return removed;
+}
+
+/* ───────────── Paragraph styles ───────────── */
+
+// Word/LibreOffice paragraph style names → block elements. Keys are compared after
+// normalizeStyleName(). The `paragraphStyles` setting adds to and overrides these.
+const DEFAULT_PARAGRAPH_STYLES = {
+  'Title': 'h1',
+  'Subtitle': 'h2',
+  'Quote': 'blockquote',
+  'Intense Quote': 'blockquote',
+  'Quotations': 'blockquote', // LibreOffice
+  'Block Text': 'blockquote',
+  'Code': 'code',
+  'HTML Preformatted': 'code',
+};
+// The blocks ep_headings2 renders.
+const PARAGRAPH_STYLE_TARGETS = ['h1', 'h2', 'h3', 'h4', 'blockquote', 'code'];
+// Class names Word ("MsoTitle") and LibreOffice ("title-western") give styled paragraphs.
+const OFFICE_STYLE_CLASS_RE = /^Mso[A-Z]|-(western|cjk|ctl)$/i;
+
+/**
+ * Style name as a lookup key: Word's clipboard class "MsoIntenseQuote", LibreOffice's
+ * "intense-quote-western" and the name "Intense Quote" all become "intensequote".
+ * @param {string} name
+ * @returns {string}
+ */
+const normalizeStyleName = (name) => String(name)
+    .replace(/^Mso(?=[A-Z])/, '')
+    .replace(/-(western|cjk|ctl)$/i, '')
+    .replace(/[\s_-]+/g, '')
+    .toLowerCase();
+
+/**
+ * Turn paragraphs whose class names a mapped style into headings, block quotes (which
+ * convertIndentation() then indents) or code lines (`<code>`, the ep_headings2 code block).
+ * Containers holding other blocks are left alone. With `officeClassesOnly` (the paste path) only
+ * Word and LibreOffice class forms count, so a web page's `<div class="title">` stays as it is.
+ *
+ * @param {Document} document
+ * @param {object} [options] - {paragraphStyles: {styleName: 'h1'…'h4'|'blockquote'|'code'|null},
+ *     officeClassesOnly: boolean}
+ * @returns {number} number of paragraphs converted
+ */
+function convertParagraphStyles(document, options = {}) {
+  const styles = new Map();
+  const add = (map) => Object.entries(map || {}).forEach(([name, target]) => {
+    const key = normalizeStyleName(name);
+    if (PARAGRAPH_STYLE_TARGETS.includes(target)) styles.set(key, target);
+    else if (!target) styles.delete(key); // null/"" switches a default off
+  });
+  add(DEFAULT_PARAGRAPH_STYLES);
+  add(options.paragraphStyles);
+  if (!styles.size) return 0;
+
+  let count = 0;
+  Array.from(document.querySelectorAll('p[class], div[class]')).forEach((el) => {
+    if (el.closest('table, li, h1, h2, h3, h4, h5, h6') || el.querySelector(BLOCK_CONTENT)) return;
+    const style = Array.from(el.classList)
+        .filter((cls) => !options.officeClassesOnly || OFFICE_STYLE_CLASS_RE.test(cls))
+        .map(normalizeStyleName)
+        .find((key) => styles.has(key));
+    if (!style) return;
+    const target = styles.get(style);
+
+    let replacement;
+    if (target === 'blockquote') {
+      replacement = document.createElement('blockquote');
+      el.removeAttribute('class');
+      el.parentNode.replaceChild(replacement, el);
+      replacement.appendChild(el);
+    } else {
+      const block = document.createElement(target);
+      while (el.firstChild) block.appendChild(el.firstChild);
+      if (el.style && el.style.textAlign) block.style.textAlign = el.style.textAlign;
+      // <code> is inline without ep_headings2; the <div> keeps it on a line of its own.
+      replacement = block;
+      if (target === 'code') {
+        replacement = document.createElement('div');
+        replacement.appendChild(block);
+      }
+      el.parentNode.replaceChild(replacement, el);
+    }
+    count++;
+  });
+  return count;
+}
+
+/* ───────────── Indentation ───────────── */
+
+// px per indent level (`indentStep` setting): Word's default 0.5in tab stop.
+const DEFAULT_INDENT_STEP = 48;
+// Etherpad list type for indented lines (`indentListType` setting): <ul class="list-indentN">.
+const DEFAULT_INDENT_LIST_TYPE = 'indent';
+const INDENT_BLOCKS = 'p, div, blockquote';
+const BLOCK_CONTENT = 'p, div, blockquote, pre, address, ul, ol, dl, table, h1, h2, h3, h4, h5, h6';
+// Word list paragraphs, which convertWordPseudoLists turns into lists.
+const MSO_LIST_RE = /mso-list\s*:\s*l\d+\s+level\d+/i;
+
+/**
+ * Turn indented paragraphs (margin-left, positive text-indent, Word's "List Paragraph" style
+ * without a bullet) and block quotes into Etherpad indent lines, one level per `indentStep` px of
+ * indentation. Margins of enclosing blocks add up and every enclosing <blockquote> adds a level,
+ * so quotes and indented clauses keep their hierarchy. Runs before convertLists(), which handles
+ * the indentation of list items itself.
+ *
+ * @param {Document} document
+ * @param {object} [options] - {indentStep, indentListType, defaultFontSize, pxPerPt}
+ * @returns {number} number of indented lines
+ */
+function convertIndentation(document, options = {}) {
+  const step = options.indentStep === undefined ? DEFAULT_INDENT_STEP : Number(options.indentStep);
+  if (!(step > 0) || !document.body) return 0;
+  const listType = /^[a-z]+$/.test(options.indentListType || '') ?
+    options.indentListType : DEFAULT_INDENT_LIST_TYPE;
+  const {defaultSize} = fontSizeSettings(options);
+  const length = (value) => {
+    if (/%\s*$/.test(value || '')) return 0;
+    const px = parseFontSize(value, () => defaultSize, options);
+    return px > 0 ? px : 0;
+  };
+
+  let count = 0;
+  Array.from(document.body.querySelectorAll(INDENT_BLOCKS)).forEach((el) => {
+    if (el.closest('table, li, ul, ol, h1, h2, h3, h4, h5, h6')) return;
+    if (el.querySelector(BLOCK_CONTENT)) return; // Only lines; containers pass their margin down.
+    if (MSO_LIST_RE.test(el.getAttribute('style') || '')) return;
+    if (/^(center|right)$/i.test(el.style.textAlign) || /^(center|right)$/i.test(el.getAttribute('align') || '')) {
+      return;
+    }
+
+    let px = length(el.style.textIndent);
+    if (/(?:^| )MsoListParagraph/i.test(el.className) && !length(el.style.marginLeft)) px += step;
+    for (let a = el; a && a !== document.body; a = a.parentElement) {
+      if (a.tagName.toLowerCase() === 'blockquote') px += step;
+      px += length(a.style && a.style.marginLeft);
+    }
+    const level = Math.min(MAX_LIST_LEVEL, Math.round(px / step));
+    if (level < 1) return;
+
+    const line = document.createElement('ul');
+    line.className = `list-${listType}${level}`;
+    const li = document.createElement('li');
+    while (el.firstChild) li.appendChild(el.firstChild);
+    line.appendChild(li);
+    el.parentNode.replaceChild(line, el);
+    count++;
+  });
+  // Their level is on the lines now.
+  if (count) {
+    Array.from(document.body.querySelectorAll('blockquote')).reverse().forEach((quote) => {
+      if (quote.closest('table')) return;
+      while (quote.firstChild) quote.parentNode.insertBefore(quote.firstChild, quote);
+      quote.parentNode.removeChild(quote);
+    });
+  }
+  return count;
+}
+
+// Note references: LibreOffice writes <a class="sdfootnoteanc" href="#sdfootnote1sym">, Word's
+// clipboard HTML <a href="#_ftn1">. The note text lives in <div id="sdfootnote1"> / <div id="ftn1">.
+const NOTE_REFERENCE_RE = /^#(?:sd(foot|end)note(\d+)sym|_(ftn|edn)(\d+))$/i;
+// Class carrying the `anchor` attribute: a link target inside the pad (see clipboard.js).
+const ANCHOR_CLASS_RE = /(?:^| )anchor:([A-Za-z][\w-]*)(?= |$)/;
+
+/* ───────────── Highlights ───────────── */
+
+// Class carrying the `highlight` attribute: a text background colour (see clipboard.js).
+const HIGHLIGHT_CLASS_RE = /(?:^| )highlight:(#[0-9a-f]{6})(?= |$)/i;
+// Inline elements whose background is a highlight. Block and cell shading is handled elsewhere.
+const HIGHLIGHT_SELECTOR = ['span', 'font', 'a', 'b', 'strong', 'i', 'em', 'u', 's', 'sup', 'sub']
+  .map((tag) => `${tag}[style*="background"], ${tag}[style*="mso-highlight"]`).join(', ');
+
+/**
+ * Highlight colour of an inline element as #rrggbb, or null. Word's `mso-highlight` wins over
+ * background(-color). Transparent and white backgrounds are not highlights.
+ * @param {Element} el
+ * @returns {string|null}
+ */
+function highlightColor(el) {
+  const rgb = parseColorToRgb(declaredColor(el, 'mso-highlight')) ||
+    parseColorToRgb(declaredColor(el, 'background-color'));
+  const hex = rgbToHexColor(rgb);
+  return hex && hex !== '#ffffff' ? hex : null;
+}
+
+/**
+ * Turn highlighted inline elements (Word highlights, Google Docs and browser background colours)
+ * into `highlight:#rrggbb` classes and drop the background style.
+ *
+ * Spans copied from a pad also carry the computed author colour as background; those are left
+ * alone unless they already have a highlight class.
+ * @param {Document} document
+ * @returns {number} number of highlighted elements
+ */
+function convertHighlights(document) {
+  let count = 0;
+  document.querySelectorAll(HIGHLIGHT_SELECTOR).forEach((el) => {
+    const existing = HIGHLIGHT_CLASS_RE.exec(el.className);
+    if (!existing && /(?:^| )author-/.test(el.className)) return;
+    const hex = existing ? existing[1].toLowerCase() : highlightColor(el);
+    if (!hex) return;
+    el.style.removeProperty('background');
+    el.style.removeProperty('background-color');
+    if (!existing) el.classList.add(`highlight:${hex}`);
+    count++;
+  });
+  return count;
+}
+
+/* ───────────── Font families ───────────── */
+
+// Class carrying the `font-family` attribute (see clipboard.js).
+const FONT_FAMILY_CLASS_RE = /(?:^| )font-family:([a-z0-9-]+)(?= |$)/i;
+// Values the installed font plugin offers as `font-family:<name>` classes. Override with the
+// `fontFamilies` setting.
+const DEFAULT_FONT_FAMILIES = ['serif', 'sans-serif', 'monospace'];
+// Source font names (lower case) → one of the font families. `fontFamilyAliases` adds to these.
+const DEFAULT_FONT_FAMILY_ALIASES = {
+  'courier new': 'monospace', 'courier': 'monospace', 'consolas': 'monospace',
+  'lucida console': 'monospace', 'menlo': 'monospace', 'monaco': 'monospace',
+  'source code pro': 'monospace', 'roboto mono': 'monospace',
+  'times new roman': 'serif', 'times': 'serif', 'georgia': 'serif', 'cambria': 'serif',
+  'garamond': 'serif', 'book antiqua': 'serif', 'palatino linotype': 'serif',
+  'liberation serif': 'serif', 'arial': 'sans-serif', 'helvetica': 'sans-serif',
+  'calibri': 'sans-serif', 'verdana': 'sans-serif', 'tahoma': 'sans-serif',
+  'segoe ui': 'sans-serif', 'open sans': 'sans-serif', 'roboto': 'sans-serif',
+  'liberation sans': 'sans-serif',
+};
+// The pad's own font. Text in it needs no attribute, which keeps copies of pad text and
+// documents set entirely in e.g. Calibri free of font-family attributes.
+const DEFAULT_FONT_FAMILY = 'sans-serif';
+
+/**
+ * Map a CSS font stack to one of the configured font families: the first font that is itself a
+ * configured family or has an alias to one wins.
+ * @param {string} stack - e.g. `"Courier New", monospace`
+ * @param {object} [options] - {fontFamilies, fontFamilyAliases}
+ * @returns {string|null}
+ */
+function mapFontFamily(stack, options = {}) {
+  const families = (Array.isArray(options.fontFamilies) ? options.fontFamilies : DEFAULT_FONT_FAMILIES)
+    .map((family) => String(family).toLowerCase());
+  const aliases = {...DEFAULT_FONT_FAMILY_ALIASES};
+  Object.entries(options.fontFamilyAliases || {}).forEach(([font, family]) => {
+    aliases[font.toLowerCase()] = String(family).toLowerCase();
+  });
+  for (const font of String(stack || '').split(',')) {
+    const name = font.trim().replace(/^(["'])(.*)\1$/, '$2').trim().toLowerCase();
+    const family = families.includes(name) ? name : aliases[name];
+    // Class names cannot hold spaces; see the fontFamilies setting.
+    if (family && families.includes(family) && /^[a-z0-9-]+$/.test(family)) return family;
+  }
+  return null;
+}
+
+/**
+ * Turn `font-family` styles and `<font face>` into `font-family:<name>` classes. Fonts that map
+ * to the pad's default family (options.defaultFontFamily) or to no configured family are dropped.
+ * @param {Document} document
+ * @param {object} [options] - {fontFamilies, fontFamilyAliases, defaultFontFamily}
+ * @returns {number} number of elements given a font-family class
+ */
+function convertFontFamilies(document, options = {}) {
+  const defaultFamily = typeof options.defaultFontFamily === 'string' ?
+    options.defaultFontFamily.toLowerCase() : DEFAULT_FONT_FAMILY;
+  let count = 0;
+  document.querySelectorAll('[style*="font-family"], font[face]').forEach((el) => {
+    const stack = el.style.fontFamily || el.getAttribute('face');
+    const family = mapFontFamily(stack, options);
+    el.style.removeProperty('font-family');
+    el.removeAttribute('face');
+    if (!family || family === defaultFamily) return;
+    Array.from(el.classList).forEach((cls) => { if (cls.startsWith('font-family:')) el.classList.remove(cls); });
+    el.classList.add(`font-family:${family}`);
+    count++;
+  });
+  return count;
+}
+
+/* ───────────── Theme colours & heading sizes ───────────── */
+
+// Colours from the Colibris/Etherpad skin that Chrome computes when copying pad content. They
+// are not user formatting. Override with the `themeColors` / `themeColorTolerance` settings.
+const DEFAULT_THEME_COLORS = [
+  '#64d29b', // Colibris primary/heading color
+  '#103572', // Colibris tweaked h1 color
+  '#485365', // Colibris default text color (--text-color)
+  '#576273', // Colibris dark color (--dark-color)
+  '#374256', // Colibris super-dark color variant
+];
+const DEFAULT_THEME_COLOR_TOLERANCE = 30; // Euclidean RGB distance
+// Heading font sizes in px (ep_headings2 uses em values that compute to these at 16px base):
+// h1: 2.5em ≈ 40px, h2: 1.8em ≈ 29px, h3: 1.5em ≈ 24px, h4: 1.2em ≈ 19px
+// Chrome computes and serializes these when copying headings, which then get mapped to:
+// h1→40, h2→26/28, h3→22/24, h4→18/20. Override with the `headingFontSizes` setting.
+const DEFAULT_HEADING_FONT_SIZES = [18, 19, 20, 22, 24, 26, 28, 29, 40];
+
+/**
+ * Whether a colour is (close to) one of the skin's theme colours and should not become a colour
+ * attribute.
+ * @param {number[]|null} rgb
+ * @param {object} [options] - {themeColors, themeColorTolerance}
+ * @returns {boolean}
+ */
+function isThemeColor(rgb, options = {}) {
+  if (!rgb) return false;
+  const colors = Array.isArray(options.themeColors) ? options.themeColors : DEFAULT_THEME_COLORS;
+  const tolerance = Number.isFinite(options.themeColorTolerance) ?
+    options.themeColorTolerance : DEFAULT_THEME_COLOR_TOLERANCE;
+  return colors.some((color) => {
+    const tc = parseColorToRgb(String(color));
+    return tc && Math.sqrt((rgb[0] - tc[0]) ** 2 + (rgb[1] - tc[1]) ** 2 + (rgb[2] - tc[2]) ** 2) <= tolerance;
+  });
+}
+
+/**
+ * Whether a px size is one the skin's headings compute to and should not become a size attribute.
+ * @param {number} px
+ * @param {object} [options] - {headingFontSizes}
+ * @returns {boolean}
+ */
+function isHeadingFontSize(px, options = {}) {
+  const sizes = Array.isArray(options.headingFontSizes) ? options.headingFontSizes : DEFAULT_HEADING_FONT_SIZES;
+  return sizes.some((size) => Number(size) === px);
+}
+
+/* ───────────── Font colours & sizes ───────────── */
+
+// Sizes the font-size plugin offers (`fontSizes` setting) and the pad's own text size, which needs
+// no attribute (`defaultFontSize`).
+const DEFAULT_FONT_SIZES = [8, 9, 10, 11, 12, 14, 16, 18, 20, 22, 24, 26, 28, 30, 35, 40];
+const DEFAULT_FONT_SIZE = 14;
+// px per pt (`pxPerPt` setting). CSS defines 4/3; Word and LibreOffice sizes come out best at 1.333.
+const DEFAULT_PX_PER_PT = 1.333;
+// Absolute units in pt.
+const PT_PER_UNIT = {pt: 1, pc: 12, in: 72, cm: 72 / 2.54, mm: 72 / 25.4, q: 72 / 101.6};
+
+const fontSizeSettings = (options = {}) => {
+  const palette = Array.isArray(options.fontSizes) ?
+    options.fontSizes.map(Number).filter((size) => size > 0).sort((x, y) => x - y) : [];
+  return {
+    palette: palette.length ? palette : DEFAULT_FONT_SIZES,
+    defaultSize: options.defaultFontSize > 0 ? Number(options.defaultFontSize) : DEFAULT_FONT_SIZE,
+    pxPerPt: options.pxPerPt > 0 ? Number(options.pxPerPt) : DEFAULT_PX_PER_PT,
+  };
+};
+
+/**
+ * A CSS font-size in px. Relative sizes resolve against `parentPx` (em, %) or the pad's default
+ * size (rem, which stands in for the root element).
+ * @param {string} value
+ * @param {function(): number} parentPx
+ * @param {object} [options] - {defaultFontSize, pxPerPt}
+ * @returns {number|null}
+ */
+function parseFontSize(value, parentPx, options = {}) {
+  const m = /^\s*([0-9]*\.?[0-9]+)\s*(px|pt|pc|in|cm|mm|q|em|rem|%)?\s*$/i.exec(value || '');
+  if (!m) return null;
+  const num = parseFloat(m[1]);
+  const unit = (m[2] || 'px').toLowerCase();
+  const {defaultSize, pxPerPt} = fontSizeSettings(options);
+  if (unit === 'px') return num;
+  if (unit === 'em') return num * parentPx();
+  if (unit === '%') return num / 100 * parentPx();
+  if (unit === 'rem') return num * defaultSize;
+  return num * PT_PER_UNIT[unit] * pxPerPt;
+}
+
+/**
+ * Font size of an element in px, from its own font-size style or its ancestors'. Elements without
+ * a sized ancestor have the pad's default size.
+ * @param {Element} el
+ * @param {object} options
+ * @param {Map<Element, number>} cache
+ * @returns {number}
+ */
+function resolveFontSize(el, options, cache) {
+  if (!el || el.nodeType !== 1) return fontSizeSettings(options).defaultSize;
+  if (cache.has(el)) return cache.get(el);
+  const parentPx = () => resolveFontSize(el.parentElement, options, cache);
+  const own = parseFontSize(el.style && el.style.fontSize, parentPx, options);
+  const px = own == null ? parentPx() : own;
+  cache.set(el, px);
+  return px;
+}
+
+/**
+ * Closest size in the palette, or null when that is the pad's default size.
+ * @param {number} px
+ * @param {object} [options] - {fontSizes, defaultFontSize}
+ * @returns {number|null}
+ */
+function nearestFontSize(px, options = {}) {
+  const {palette, defaultSize} = fontSizeSettings(options);
+  let best = palette[0];
+  palette.forEach((size) => { if (Math.abs(px - size) < Math.abs(px - best)) best = size; });
+  return best === defaultSize ? null : best;
+}
+
+/**
+ * Turn inline text colours and font sizes into `color:#rrggbb` and `font-size:N` classes. Theme
+ * colours, heading sizes and text inside headings are left to the pad's own styling; imports set
+ * `keepHeadingStyles`, because a document's headings carry their own formatting.
+ * @param {Document} document
+ * @param {object} [options] - Transform options (themeColors, headingFontSizes, fontSizes,
+ *     keepHeadingStyles, …).
+ * @returns {number} number of elements given a colour or size class
+ */
+function convertColorsAndSizes(document, options = {}) {
+  const styledNodes = Array.from(document.querySelectorAll('[style*="color"], font[color], [style*="font-size"]'));
+  // Resolve every size first: converting a parent drops the style its em/% children depend on.
+  const cache = new Map();
+  const sizes = new Map(styledNodes.map((el) => [el, el.style.fontSize ? resolveFontSize(el, options, cache) : null]));
+  let count = 0;
+  styledNodes.forEach((el) => {
+    // Skip elements inside headings - their color/font-size comes from heading CSS,
+    // not user-applied formatting. Chrome computes these styles when copying, which
+    // causes spurious color:green/font-size:26 classes to appear on pasted headings.
+    if (!options.keepHeadingStyles && el.closest && el.closest('h1, h2, h3, h4, h5, h6')) return;
+
+    const classes = (el.className || '').split(/\s+/).filter(Boolean);
+    let changed = false;
+    const setClass = (prefix, value) => {
+      const kept = classes.filter((cls) => !cls.startsWith(prefix));
+      classes.length = 0;
+      classes.push(...kept, `${prefix}${value}`);
+      changed = true;
+    };
+
+    const colorAttr = el.getAttribute('color') || declaredColor(el, 'color');
+    if (colorAttr) {
+      const rgb = parseColorToRgb(colorAttr);
+      // Skip theme colors (like Colibris heading color #64d29b) - these are computed
+      // by Chrome when copying and should not be treated as user-applied formatting
+      if (isThemeColor(rgb, options)) {
+        el.style.color = '';
+        el.removeAttribute('color');
+      } else {
+        const nativeColor = rgbToHexColor(rgb);
+        if (nativeColor) setClass('color:', nativeColor);
+      }
+    }
+    // Skip font-size mapping for <sup>/<sub> to preserve normal baseline sizing
+    const isSuperOrSub = /^(sup|sub)$/i.test(el.tagName || '');
+    const px = isSuperOrSub ? null : sizes.get(el);
+    if (px) {
+      // Skip heading-like font sizes - these are computed from heading CSS
+      // by Chrome when copying, not user-applied formatting.
+      if (isHeadingFontSize(Math.round(px), options)) {
+        el.style.fontSize = '';
+      } else {
+        const size = nearestFontSize(px, options);
+        if (size) setClass('font-size:', size);
+      }
+    }
+    if (changed) {
+      el.className = classes.join(' ');
+      el.removeAttribute('color');
+      el.style.color = '';
+      el.style.fontSize = '';
+      count++;
+    }
+  });
+  return count;
+}
+
+/* ───────────── Table styling metadata ───────────── */
+
+const BORDER_SIDES = ['top', 'right', 'bottom', 'left'];
+// px per CSS length unit. LibreOffice's relative `<col width="3*">` widths have no unit here;
+// parseLength() handles `*` itself.
+const LENGTH_UNITS = {px: 1, pt: 4 / 3, in: 96, cm: 96 / 2.54, mm: 96 / 25.4};
+
+const parseLength = (value) => {
+  const m = /^\s*([0-9]*\.?[0-9]+)\s*(px|pt|in|cm|mm|%|\*)?\s*$/i.exec(value || '');
+  if (!m) return null;
+  const num = parseFloat(m[1]);
+  const unit = (m[2] || 'px').toLowerCase();
+  if (!(num > 0)) return null;
+  if (unit === '%') return {kind: '%', value: num};
+  if (unit === '*') return {kind: 'rel', value: num};
+  return {kind: 'abs', value: num * LENGTH_UNITS[unit]};
+};
+
+/**
+ * Column widths of a table as percentages, from <col> elements or from the first row whose cells
+ * all span one column.
+ * @param {Element} table
+ * @param {Element[]} rows - The table's own rows.
+ * @param {number} numCols
+ * @returns {number[]|null} One percentage per column, or null if the widths are not all known.
+ */
+function tableColumnWidths(table, rows, numCols) {
+  const widthOf = (el) => parseLength(el.getAttribute('width')) || parseLength(el.style && el.style.width);
+  let widths = [];
+  table.querySelectorAll(':scope > col, :scope > colgroup > col').forEach((col) => {
+    const span = Math.max(1, parseInt(col.getAttribute('span') || '1', 10) || 1);
+    for (let i = 0; i < span; i++) widths.push(widthOf(col));
+  });
+  if (widths.length !== numCols || widths.some((w) => !w)) {
+    widths = [];
+    const simpleRow = rows.find((tr) => {
+      const cells = Array.from(tr.children).filter((c) => /^(td|th)$/i.test(c.tagName));
+      return cells.length === numCols && cells.every((c) => (parseInt(c.getAttribute('colspan') || '1', 10) || 1) === 1);
+    });
+    if (simpleRow) {
+      widths = Array.from(simpleRow.children).filter((c) => /^(td|th)$/i.test(c.tagName)).map(widthOf);
+    }
+  }
+  if (widths.length !== numCols || widths.some((w) => !w || w.kind !== widths[0].kind)) return null;
+  const total = widths.reduce((sum, w) => sum + w.value, 0);
+  return widths.map((w) => Math.round((w.value / total) * 10000) / 100);
+}
+
+/**
+ * Shading and border presence of one table cell.
+ * @param {Element} cell
+ * @param {Element} table
+ * @returns {{background: string|null, borders: string[]|null}} `borders` lists the sides that
+ *     have a border, or is null when all four do or the source does not say.
+ */
+function tableCellStyle(cell, table) {
+  const rgb = parseColorToRgb(declaredColor(cell, 'background-color') || cell.getAttribute('bgcolor'));
+  const hex = rgbToHexColor(rgb);
+  const background = hex && hex !== '#ffffff' ? hex : null;
+
+  let borders = null;
+  // Tables copied from Etherpad get their borders from the editor's CSS.
+  if (!table.classList.contains('dataTable')) {
+    if (/(^|;)\s*border/i.test(cell.getAttribute('style') || '')) {
+      borders = BORDER_SIDES.filter((side) => {
+        const style = (cell.style.getPropertyValue(`border-${side}-style`) || '').toLowerCase();
+        const width = cell.style.getPropertyValue(`border-${side}-width`);
+        return style && style !== 'none' && style !== 'hidden' && parseFloat(width) !== 0;
+      });
+    } else if (table.getAttribute('border') === '0') {
+      borders = [];
+    }
+    if (borders && borders.length === BORDER_SIDES.length) borders = null;
+  }
+  return {background, borders};
+}
+
+/**
+ * Collects per-cell styles for one tbljson row while the table conversion walks its columns.
+ * @returns {{add: function(number, number, object): void, applyTo: function(object): object}}
+ */
+function createRowStyles() {
+  const cellBackgrounds = {};
+  const cellBorders = {};
+  return {
+    // Style `style` (from tableCellStyle) covers columns col … col + span - 1.
+    add(col, span, style) {
+      for (let c = col; c < col + span; c++) {
+        if (style.background) cellBackgrounds[c] = style.background;
+        if (style.borders) cellBorders[c] = style.borders;
+      }
+    },
+    applyTo(meta) {
+      if (Object.keys(cellBackgrounds).length) meta.cellBackgrounds = cellBackgrounds;
+      if (Object.keys(cellBorders).length) meta.cellBorders = cellBorders;
+      return meta;
+    },
+  };
+}
+
+const spanOf = (cell, attr) => {
+  const n = parseInt(cell.getAttribute(attr) || '1', 10);
+  return isNaN(n) || n < 1 ? 1 : n;
+};
+
+/**
+ * Merged regions of a table, in the same grid the tbljson conversion uses (one line per row,
+ * numCols cells per line).
+ * @param {Element[]} rows
+ * @param {number} numCols
+ * @returns {Array<{row: number, col: number, rowspan: number, colspan: number}>}
+ */
+function tableMerges(rows, numCols) {
+  const merges = [];
+  const pendingRowspan = Array(numCols).fill(0);
+  rows.forEach((tr, rowIdx) => {
+    const cells = Array.from(tr.querySelectorAll('td, th'));
+    let ptr = 0;
+    for (let col = 0; col < numCols; col++) {
+      if (pendingRowspan[col] > 0) {
+        pendingRowspan[col]--;
+        continue;
+      }
+      const cell = cells[ptr++];
+      if (!cell) continue;
+      const colspan = Math.min(spanOf(cell, 'colspan'), numCols - col);
+      const rowspan = Math.min(spanOf(cell, 'rowspan'), rows.length - rowIdx);
+      if (rowspan > 1) pendingRowspan.fill(rowspan - 1, col, col + colspan);
+      if (colspan > 1 || rowspan > 1) merges.push({row: rowIdx, col, rowspan, colspan});
+      col += colspan - 1;
+    }
+  });
+  return merges;
+}
+
+/**
+ * @returns {Array<object>} The merges that cover any cell of line `row`; every line of a merged
+ *     region carries it so the row can be rendered on its own.
+ */
+const mergesForRow = (merges, row) => merges.filter((m) => row >= m.row && row < m.row + m.rowspan);
+
+/**
+ * Metadata of a row copied from Etherpad: its cells still contain the tbljson-classed spans the
+ * editor rendered them from.
+ * @param {Element} tr
+ * @returns {object|null}
+ */
+const readSourceRowMeta = (tr) => {
+  const el = tr.querySelector('[class*="tbljson-"]');
+  const m = el && /(?:^| )tbljson-(\S+)/.exec(el.className);
+  if (!m) return null;
+  try {
+    return JSON.parse(dec(m[1]));
+  } catch (e) {
+    return null;
+  }
+};
+
+/**
+ * Translate the merges recorded in copied rows to the row numbers of the pasted table, clipping
+ * regions that were only partly copied.
+ * @param {Array<object|null>} sourceMetas - readSourceRowMeta() of every pasted row.
+ * @param {number} numCols
+ * @returns {Array<object>}
+ */
+function remapSourceMerges(sourceMetas, numCols) {
+  if (!sourceMetas.length || sourceMetas.some((m) => !m || !Number.isInteger(m.row))) return [];
+  const seen = new Set();
+  const merges = [];
+  sourceMetas.forEach((meta) => {
+    (Array.isArray(meta.merges) ? meta.merges : []).forEach((m) => {
+      const key = `${m.row}:${m.col}`;
+      if (seen.has(key)) return;
+      seen.add(key);
+      const covered = sourceMetas.map((s, i) => (s.row >= m.row && s.row < m.row + m.rowspan ? i : -1))
+        .filter((i) => i >= 0);
+      if (!covered.length || m.col >= numCols) return;
+      const merge = {
+        row: covered[0],
+        col: m.col,
+        rowspan: covered.length,
+        colspan: Math.min(m.colspan, numCols - m.col),
+      };
+      if (merge.rowspan > 1 || merge.colspan > 1) merges.push(merge);
+    });
+  });
+  return merges;
+}
+
+/* ───────────── Nested tables ───────────── */
+
+const NESTED_TABLE_STRATEGIES = ['inline', 'lift', 'bullets'];
+// Separators used when a nested table is written out as text.
+const NESTED_CELL_SEPARATOR = ' | ';
+const NESTED_ROW_SEPARATOR = '; ';
+
+// Rows and cells of `table` itself, never those of tables nested in it.
+const ownRows = (table) => Array.from(table.rows);
+const ownCells = (tr) => Array.from(tr.cells);
+
+/**
+ * The grid column each cell of `rows` starts in, accounting for row and column spans.
+ * @returns {Map<Element, number>}
+ */
+const gridColumns = (rows) => {
+  const columns = new Map();
+  const taken = rows.map(() => []);
+  rows.forEach((tr, r) => {
+    let col = 0;
+    ownCells(tr).forEach((cell) => {
+      while (taken[r][col]) col++;
+      columns.set(cell, col);
+      const rowspan = parseInt(cell.getAttribute('rowspan'), 10) || 1;
+      const colspan = parseInt(cell.getAttribute('colspan'), 10) || 1;
+      for (let i = r; i < Math.min(r + rowspan, rows.length); i++) {
+        for (let j = col; j < col + colspan; j++) taken[i][j] = true;
+      }
+      col += colspan;
+    });
+  });
+  return columns;
+};
+
+/**
+ * Split `rows` after row `split`: cells spanning across it are shortened to end there, and an
+ * empty cell takes up the rest of their span in the first row below, in the same grid column.
+ */
+const splitRowSpans = (rows, split) => {
+  const columns = gridColumns(rows);
+  const first = rows[split + 1];
+  rows.slice(0, split + 1).forEach((tr, r) => {
+    ownCells(tr).forEach((cell) => {
+      const rowspan = parseInt(cell.getAttribute('rowspan'), 10) || 1;
+      if (r + rowspan - 1 <= split) return;
+      const kept = split - r + 1;
+      const filler = cell.cloneNode(false);
+      filler.removeAttribute('id');
+      [[cell, kept], [filler, rowspan - kept]].forEach(([el, span]) => {
+        if (span > 1) el.setAttribute('rowspan', String(span));
+        else el.removeAttribute('rowspan');
+      });
+      columns.set(filler, columns.get(cell));
+      const next = ownCells(first).find((c) => columns.get(c) > columns.get(cell));
+      first.insertBefore(filler, next || null);
+    });
+  });
+};
+
+/**
+ * Append the cells of `tr` to `target`, moving their content and separating them with
+ * NESTED_CELL_SEPARATOR. Empty cells are skipped.
+ * @returns {boolean} true if anything was appended
+ */
+const appendRowCells = (document, tr, target) => {
+  let appended = false;
+  ownCells(tr).forEach((cell) => {
+    if (!cell.textContent.trim() && !cell.querySelector('img')) return;
+    if (appended) target.appendChild(document.createTextNode(NESTED_CELL_SEPARATOR));
+    const span = document.createElement('span');
+    while (cell.firstChild) span.appendChild(cell.firstChild);
+    target.appendChild(span);
+    appended = true;
+  });
+  return appended;
+};
+
+/**
+ * Remove tables nested in table cells, which Etherpad's one-line-per-row tables cannot hold.
+ *   • "inline"  – the nested table becomes text in its cell: cells separated by " | ", rows by "; ".
+ *   • "lift"    – the nested table is moved out and placed after the row that contained it; the
+ *                 outer table is split there, and row spans across the split are shortened.
+ *   • "bullets" – the nested table becomes a bulleted list in its cell, one item per row.
+ * Tables are handled innermost first, so deeper nesting works the same way.
+ * @param {Document} document
+ * @param {'inline'|'lift'|'bullets'} [strategy='inline']
+ * @returns {number} number of nested tables handled
+ */
+function flattenNestedTables(document, strategy = 'inline') {
+  if (!NESTED_TABLE_STRATEGIES.includes(strategy)) strategy = 'inline';
+  let count = 0;
+  for (;;) {
+    const nested = Array.from(document.querySelectorAll('td table, th table'))
+      .filter((table) => !table.querySelector('table'));
+    if (!nested.length) break;
+    nested.forEach((inner) => {
+      const cell = inner.parentElement.closest('td, th');
+      const outer = cell.closest('table');
+      count++;
+
+      if (strategy === 'lift') {
+        const parentRow = cell.closest('tr');
+        const rows = ownRows(outer);
+        const after = rows.slice(rows.indexOf(parentRow) + 1);
+        let anchor = outer;
+        if (after.length) {
+          splitRowSpans(rows, rows.indexOf(parentRow));
+          // Rows below the parent row continue in a copy of the outer table.
+          const rest = outer.cloneNode(false);
+          rest.removeAttribute('id');
+          outer.querySelectorAll(':scope > colgroup, :scope > col').forEach((c) => rest.appendChild(c.cloneNode(true)));
+          const body = document.createElement('tbody');
+          after.forEach((tr) => body.appendChild(tr));
+          rest.appendChild(body);
+          outer.parentNode.insertBefore(rest, outer.nextSibling);
+        }
+        // Keep lifted tables of the same row in document order.
+        while (anchor.nextSibling && anchor.nextSibling.nodeType === 1 &&
+               anchor.nextSibling.hasAttribute('data-docx-lifted')) {
+          anchor = anchor.nextSibling;
+        }
+        inner.setAttribute('data-docx-lifted', '');
+        outer.parentNode.insertBefore(inner, anchor.nextSibling);
+        return;
+      }
+
+      if (strategy === 'bullets') {
+        const ul = document.createElement('ul');
+        ownRows(inner).forEach((tr) => {
+          const li = document.createElement('li');
+          if (appendRowCells(document, tr, li)) ul.appendChild(li);
+        });
+        inner.parentNode.replaceChild(ul, inner);
+        return;
+      }
+
+      const span = document.createElement('span');
+      ownRows(inner).forEach((tr) => {
+        const row = document.createElement('span');
+        if (!appendRowCells(document, tr, row)) return;
+        if (span.childNodes.length) span.appendChild(document.createTextNode(NESTED_ROW_SEPARATOR));
+        span.appendChild(row);
+      });
+      inner.parentNode.replaceChild(span, inner);
+    });
+  }
+  document.querySelectorAll('[data-docx-lifted]').forEach((t) => t.removeAttribute('data-docx-lifted'));
+  return count;
+}
+
+/**
+ * Turn footnote and endnote references into superscript links and move the note texts into a
+ * "Notes" section at the end of the document. References link to their note and every note links
+ * back to its reference through `anchor:<id>` targets. The ids carry a random suffix per call, so
+ * notes from several imports or pastes into one pad do not link to each other.
+ * @param {Document} document
+ * @param {object} [options]
+ * @param {string} [options.notesHeading] - Localised title of the section.
+ * @returns {number} number of notes converted
+ */
+function convertNotes(document, {notesHeading = 'Notes'} = {}) {
+  const notes = [];
+  // References seen so far per note id. A note cited again gets a numbered reference anchor;
+  // its back-link goes to the first one.
+  const citations = new Map();
+  const suffix = rand();
+  Array.from(document.querySelectorAll('a[href^="#"]')).forEach((a) => {
+    const m = NOTE_REFERENCE_RE.exec(a.getAttribute('href'));
+    if (!m) return;
+    const kind = /^(foot|ftn)$/i.test(m[1] || m[3]) ? 'fn' : 'en';
+    const num = m[2] || m[4];
+    const containerId = m[1] ? `sd${m[1].toLowerCase()}note${num}` : `${m[3].toLowerCase()}${num}`;
+    const container = document.getElementById(containerId);
+    if (container && container.contains(a)) return;
+
+    const id = `docx-${kind}${num}-${suffix}`;
+    const citation = (citations.get(id) || 0) + 1;
+    citations.set(id, citation);
+    const refId = `docx-${kind}ref${num}-${suffix}${citation > 1 ? `-${citation}` : ''}`;
+    const label = a.textContent.replace(/[[\]\s]/g, '') || num;
+
+    const target = document.createElement('span');
+    target.className = `anchor:${refId}`;
+    const link = document.createElement('a');
+    link.setAttribute('href', `#${id}`);
+    link.textContent = label;
+    target.appendChild(link);
+    let marker = target;
+    if (!a.closest('sup')) {
+      marker = document.createElement('sup');
+      marker.appendChild(target);
+    }
+    a.parentNode.replaceChild(marker, a);
+
+    if (citation > 1) return;
+    notes.push({kind, id, refId, label, container});
+  });
+  if (!notes.length) return 0;
+
+  const section = document.createDocumentFragment();
+  const heading = document.createElement('p');
+  const strong = document.createElement('strong');
+  strong.textContent = notesHeading;
+  heading.appendChild(strong);
+  section.appendChild(heading);
+
+  // Footnotes first, then endnotes, each in reference order.
+  const ordered = notes.filter((n) => n.kind === 'fn').concat(notes.filter((n) => n.kind === 'en'));
+  ordered.forEach(({id, refId, label, container}) => {
+    let paragraphs = [];
+    if (container) {
+      // Drop the note's own back-link; a new one is added below.
+      const backLink = container.querySelector('a[href^="#"]');
+      if (backLink) backLink.parentNode.removeChild(backLink);
+      paragraphs = Array.from(container.children).filter((el) => /^(p|div|h[1-6])$/i.test(el.tagName));
+      if (!paragraphs.length) {
+        const p = document.createElement('p');
+        while (container.firstChild) p.appendChild(container.firstChild);
+        paragraphs = [p];
+      }
+      container.parentNode.removeChild(container);
+    }
+    if (!paragraphs.length) paragraphs = [document.createElement('p')];
+
+    const target = document.createElement('span');
+    target.className = `anchor:${id}`;
+    const link = document.createElement('a');
+    link.setAttribute('href', `#${refId}`);
+    link.textContent = label;
+    target.appendChild(link);
+    const first = paragraphs[0];
+    first.insertBefore(document.createTextNode('. '), first.firstChild);
+    first.insertBefore(target, first.firstChild);
+    paragraphs.forEach((p) => section.appendChild(p));
+  });
+
+  (document.body || document.documentElement).appendChild(section);
+  return notes.length;
+}
+
 function customizeDocument(document, options = {}) {
   let modified = false;
 
+  /* ───────────── Nested tables ───────────── */
+  if (flattenNestedTables(document, options.nestedTables)) modified = true;
+
+  /* ───────────── Paragraph styles ───────────── */
+  if (convertParagraphStyles(document, {...options, officeClassesOnly: true})) modified = true;
+
   /* ───────────── Headings ───────────── */
   const headingElements = Array.from(document.querySelectorAll('h1, h2, h3, h4, h5, h6'));
   headingElements.forEach((heading) => {
@@ -189,6 +1389,9 @@ function customizeDocument(document, options = {}) {
     modified = true;
   });
 
+  /* ───────────── Indentation ───────────── */
+  if (convertIndentation(document, options)) modified = true;
+
   /* ───────────── Alignment ───────────── */
   const ALIGN_MAP = {center: 'center', right: 'right', justify: 'justify', left: 'left'};
   const alignedBlocks = Array.from(document.querySelectorAll('[style*="text-align"], [align]'));
@@ -222,41 +1425,8 @@ function customizeDocument(document, options = {}) {
     modified = true;
   });
 
-  /* ───────────── Ordered-list flattening ───────────── */
-  const processOrderedList = (olNode, depth = 0) => {
-    const startAttr = parseInt(olNode.getAttribute('start') || '1', 10);
-    let counter = isNaN(startAttr) ? 1 : startAttr;
-    const frag = document.createDocumentFragment();
-    Array.from(olNode.children).forEach((child) => {
-      if (child.tagName && child.tagName.toLowerCase() === 'li') {
-        const prefixSpan = document.createElement('span');
-        prefixSpan.textContent = `${counter}. `;
-        const p = document.createElement('div');
-        const liClone = child.cloneNode(true);
-        const nestedOLs = liClone.querySelectorAll('ol');
-        nestedOLs.forEach((nested) => {
-          const replacement = processOrderedList(nested, depth + 1);
-          nested.parentNode.replaceChild(replacement, nested);
-        });
-        if (liClone.childNodes.length === 1 && liClone.firstChild.tagName && liClone.firstChild.tagName.toLowerCase() === 'p') {
-          const innerP = liClone.firstChild;
-          while (innerP.firstChild) p.appendChild(innerP.firstChild);
-        } else {
-          while (liClone.firstChild) p.appendChild(liClone.firstChild);
-        }
-        p.insertBefore(prefixSpan, p.firstChild);
-        if (depth > 0) p.style.marginLeft = `${depth * 1.5}em`;
-        frag.appendChild(p);
-        counter += 1;
-      }
-    });
-    modified = true;
-    return frag;
-  };
-  Array.from(document.querySelectorAll('ol')).forEach((ol) => {
-    const replacement = processOrderedList(ol);
-    ol.parentNode.replaceChild(replacement, ol);
-  });
+  /* ───────────── List flattening ───────────── */
+  if (convertLists(document, options)) modified = true;
 
   /* ───────────── Images ───────────── */
   const cssImageSizeMap = {};
@@ -361,6 +1531,9 @@ function customizeDocument(document, options = {}) {
 
   });
 
+  /* ───────────── Footnotes & endnotes ───────────── */
+  if (convertNotes(document, options)) modified = true;
+
   /* ───────────── Hyperlinks ───────────── */
   const anchors = document.querySelectorAll('a[href]');
   anchors.forEach((a) => {
@@ -380,148 +1553,29 @@ function customizeDocument(document, options = {}) {
     modified = true;
   });
 
-  /* ───────────── Font color & size ───────────── */
-  const parseColorToRgb = (str) => {
-    if (!str) return null;
-    const s = str.toLowerCase().trim();
-    const named = {
-      black:[0,0,0], white:[255,255,255], red:[255,0,0], green:[0,128,0],
-      blue:[0,0,255], yellow:[255,255,0], orange:[255,165,0],
-      purple:[128,0,128], gray:[128,128,128], grey:[128,128,128],
-      lime:[0,255,0], cyan:[0,255,255], magenta:[255,0,255],
-      maroon:[128,0,0], navy:[0,0,128],
-    };
-    if (named[s]) return named[s];
-    const hex = s.match(/^#?([0-9a-f]{3}|[0-9a-f]{6})$/i);
-    if (hex) {
-      let h = hex[1];
-      if (h.length===3) h = h[0]+h[0]+h[1]+h[1]+h[2]+h[2];
-      return [parseInt(h.slice(0,2),16),parseInt(h.slice(2,4),16),parseInt(h.slice(4,6),16)];
-    }
-    const rgb = s.match(/rgb\s*\(\s*(\d+)\s*,\s*(\d+)\s*,\s*(\d+)\s*\)/);
-    if (rgb) return [parseInt(rgb[1]),parseInt(rgb[2]),parseInt(rgb[3])];
-    return null;
-  };
-
-  const rgbToHexColor = (rgb) => {
-    if (!rgb) return null;
-    const parts = rgb.map((value) => Math.max(0, Math.min(255, Number(value) || 0)));
-    return `#${parts.map((value) => value.toString(16).padStart(2, '0')).join('')}`;
-  };
-
-  // Check if a color is a known theme color that should be skipped.
-  // These are colors from the Colibris/Etherpad theme that get computed by Chrome
-  // when copying content, and should not be treated as user-applied formatting.
-  const isThemeColor = (rgb) => {
-    if (!rgb) return false;
-    // Theme colors that Chrome may compute when copying Etherpad content:
-    const themeColors = [
-      [100, 210, 155],  // #64d29b - Colibris primary/heading color
-      [16, 53, 114],    // #103572 - Colibris tweaked h1 color
-      [72, 83, 101],    // #485365 - Colibris default text color (--text-color)
-      [87, 98, 115],    // #576273 - Colibris dark color (--dark-color)
-      [55, 66, 86],     // #374256 - Colibris super-dark color variant
-    ];
-    const TOLERANCE = 30; // Allow colors within this distance
-    for (const tc of themeColors) {
-      const d = Math.sqrt((rgb[0]-tc[0])**2 + (rgb[1]-tc[1])**2 + (rgb[2]-tc[2])**2);
-      if (d <= TOLERANCE) return true;
-    }
-    return false;
-  };
-
-  const parsePx = (val)=>{
-    if(!val) return null;
-    const m=/([0-9.]+)(px|pt)?/i.exec(val);
-    if(!m) return null;
-    let num=parseFloat(m[1]);
-    if(isNaN(num)) return null;
-    if(m[2]&&m[2].toLowerCase()==='pt') num=Math.round(num*1.333);
-    return Math.round(num);
-  };
+  /* ───────────── Highlights ───────────── */
+  if (convertHighlights(document)) modified = true;
 
-  // Heading font sizes in px (ep_headings2 uses em values that compute to these at 16px base):
-  // h1: 2.5em ≈ 40px, h2: 1.8em ≈ 29px, h3: 1.5em ≈ 24px, h4: 1.2em ≈ 19px
-  // Chrome computes and serializes these when copying headings, which then get mapped to:
-  // h1→40, h2→26/28, h3→22/24, h4→18/20. We skip these "heading-like" sizes.
-  const HEADING_FONT_SIZES = new Set([18, 19, 20, 22, 24, 26, 28, 29, 40]);
+  /* ───────────── Font families ───────────── */
+  if (convertFontFamilies(document, options)) modified = true;
 
-  const styledNodes = Array.from(document.querySelectorAll('[style*="color"], font[color], [style*="font-size"]'));
-  styledNodes.forEach((el)=>{
-    // Skip elements inside headings - their color/font-size comes from heading CSS,
-    // not user-applied formatting. Chrome computes these styles when copying, which
-    // causes spurious color:green/font-size:26 classes to appear on pasted headings.
-    const insideHeading = el.closest && el.closest('h1, h2, h3, h4, h5, h6');
-    if (insideHeading) return;
-
-    const classes=(el.className||'').split(/\s+/).filter(Boolean);
-    let changed=false;
-    
-    const colorAttr=el.getAttribute('color')||el.style.color;
-    if(colorAttr){
-      const rgb=parseColorToRgb(colorAttr);
-      // Skip theme colors (like Colibris heading color #64d29b) - these are computed
-      // by Chrome when copying and should not be treated as user-applied formatting
-      if (isThemeColor(rgb)) {
-        el.style.color = '';
-        el.removeAttribute('color');
-        // Don't add color class - continue to check font-size
-      } else {
-        const nativeColor=rgbToHexColor(rgb);
-        if(nativeColor){
-          const cls=`color:${nativeColor}`;
-          if(!classes.includes(cls)){classes.push(cls);changed=true;}
-        }
-      }
-    }
-    // Skip font-size mapping for <sup>/<sub> to preserve normal baseline sizing
-    const isSuperOrSub = el.tagName && (el.tagName.toUpperCase()==='SUP' || el.tagName.toUpperCase()==='SUB');
-    const sizeStyle=isSuperOrSub ? '' : el.style.fontSize;
-    if(sizeStyle){
-      const px=parsePx(sizeStyle);
-      if(px){
-        // Skip heading-like font sizes - these are computed from heading CSS
-        // by Chrome when copying, not user-applied formatting.
-        // ep_headings2 sizes: h1=2.5em(~40px), h2=1.8em(~29px), h3=1.5em(~24px), h4=1.2em(~19px)
-        if (HEADING_FONT_SIZES.has(px)) {
-          el.style.fontSize = '';
-          // Don't add font-size class, but continue processing
-        } else {
-          const palette=[8,9,10,11,12,14,16,18,20,22,24,26,28,30,35,40];
-          let best=palette[0],bestDiff=Math.abs(px-best);
-          for(const s of palette){ const d=Math.abs(px-s); if(d<bestDiff){best=s;bestDiff=d;} }
-          if(best!==14){
-            const cls=`font-size:${best}`;
-            if(!classes.includes(cls)){classes.push(cls);changed=true;}
-          }
-        }
-      }
-    }
-    if(changed){
-      el.className=classes.join(' ');
-      el.removeAttribute('color');
-      el.style.color='';
-      el.style.fontSize='';
-      modified=true;
-    }
-  });
+  /* ───────────── Font color & size ───────────── */
+  if (convertColorsAndSizes(document, options)) modified = true;
 
   /* ───────────── Strip heading-derived classes from existing content ─────────────
    * When copying from Etherpad, Chrome may preserve existing class-based styling
    * (color:green, font-size:26, etc.) that was derived from heading CSS in a previous
    * paste cycle. We need to strip these to prevent style accumulation.
    */
-  const headingFontSizeClasses = new Set([
-    'font-size:18', 'font-size:19', 'font-size:20', 'font-size:22', 
-    'font-size:24', 'font-size:26', 'font-size:28', 'font-size:29', 'font-size:40'
-  ]);
+  const isHeadingFontSizeClass = (c) => /^font-size:\d+$/.test(c) &&
+    isHeadingFontSize(Number(c.slice('font-size:'.length)), options);
   
   // Strip heading-derived classes from spans inside headings
   document.querySelectorAll('h1 span, h2 span, h3 span, h4 span, h5 span, h6 span').forEach((span) => {
     const classes = (span.className || '').split(/\s+/).filter(Boolean);
     const filtered = classes.filter((c) => {
       // Remove heading-like font sizes
-      if (headingFontSizeClasses.has(c)) return false;
+      if (isHeadingFontSizeClass(c)) return false;
       // Remove green color (Colibris heading color)
       if (c === 'color:green') return false;
       return true;
@@ -545,7 +1599,7 @@ function customizeDocument(document, options = {}) {
     const filtered = classes.filter((c) => {
       if (insideHeading) {
         // Remove heading-like font sizes
-        if (headingFontSizeClasses.has(c)) return false;
+        if (isHeadingFontSizeClass(c)) return false;
         // Remove green color
         if (c === 'color:green') return false;
       }
@@ -630,16 +1684,25 @@ function customizeDocument(document, options = {}) {
       }
 
       const pendingRowspan = Array(numCols).fill(0);
+      // Style of the cell a rowspan continues, so merged regions keep their shading.
+      const pendingRowspanStyle = Array(numCols).fill(null);
+      const columnWidths = tableColumnWidths(tableNode, rows, numCols);
+      // Rows copied from Etherpad carry their original metadata; keep what the HTML cannot say.
+      const sourceMetas = rows.map(readSourceRowMeta);
+      let merges = tableMerges(rows, numCols);
+      if (!merges.length) merges = remapSourceMerges(sourceMetas, numCols);
       const newLines = [];
 
       rows.forEach((rowNode, rowIdx) => {
         const rawCells = Array.from(rowNode.querySelectorAll('td, th'));
         let rawPtr = 0;
         const cellHTMLs = [];
+        const rowStyles = createRowStyles();
 
         for (let col = 0; col < numCols; col++) {
           if (pendingRowspan[col] > 0) {
             pendingRowspan[col]--;
+            if (pendingRowspanStyle[col]) rowStyles.add(col, 1, pendingRowspanStyle[col]);
             cellHTMLs.push('<span>&nbsp;</span>');
             continue;
           }
@@ -734,15 +1797,34 @@ function customizeDocument(document, options = {}) {
 
           cellHTMLs.push(html);
 
-          if (rowspan > 1) pendingRowspan[col] = rowspan - 1;
+          const cellStyle = tableCellStyle(cell, tableNode);
+          const span = Math.min(colspan, numCols - col);
+          rowStyles.add(col, span, cellStyle);
+          if (rowspan > 1) {
+            pendingRowspan[col] = rowspan - 1;
+            pendingRowspanStyle[col] = cellStyle;
+          }
           for (let extra = 1; extra < colspan && col + extra < numCols; extra++) {
             cellHTMLs.push('<span>&nbsp;</span>');
-            if (rowspan > 1) pendingRowspan[col + extra] = rowspan - 1;
+            if (rowspan > 1) {
+              pendingRowspan[col + extra] = rowspan - 1;
+              pendingRowspanStyle[col + extra] = cellStyle;
+            }
           }
           col += colspan - 1;
         }
 
         const meta = {tblId: `${tblIdBase}-${groupIdx}`, row: rowIdx, cols: numCols};
+        if (columnWidths) meta.columnWidths = columnWidths;
+        rowStyles.applyTo(meta);
+        const rowMerges = mergesForRow(merges, rowIdx);
+        if (rowMerges.length) meta.merges = rowMerges;
+        const sourceMeta = sourceMetas[rowIdx];
+        if (sourceMeta) {
+          ['columnWidths', 'cellBackgrounds', 'cellBorders'].forEach((key) => {
+            if (meta[key] === undefined && sourceMeta[key]) meta[key] = sourceMeta[key];
+          });
+        }
         const encodedMeta = enc(JSON.stringify(meta));
         const lineDiv = document.createElement('div');
         
@@ -820,4 +1902,10 @@ function customizeDocument(document, options = {}) {
   return modified;
 }
 
-module.exports = {customizeDocument, uploadImageToS3Browser, DELIMITER, ZWSP, fetchWithCorsProxy}; 
+module.exports = {
+  customizeDocument, convertColorsAndSizes, convertFontFamilies, convertHighlights, convertIndentation,
+  convertLists, convertNotes, convertParagraphStyles, createRowStyles, flattenNestedTables, mergesForRow,
+  sanitizeDocument, tableCellStyle, tableColumnWidths, tableMerges, NESTED_TABLE_STRATEGIES,
+  importRemoteImagesBrowser, uploadImageBrowser, uploadImageToS3Browser, MAX_REMOTE_IMAGES_PER_REQUEST,
+  ANCHOR_CLASS_RE, FONT_FAMILY_CLASS_RE, HIGHLIGHT_CLASS_RE, DELIMITER, ZWSP, fetchWithCorsProxy,
+};